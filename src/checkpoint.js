@@ -0,0 +1,105 @@
+import { Actor, log } from 'apify';
+
+const CHECKPOINT_KEY = 'RUN_CHECKPOINT';
+const CHECKPOINT_VERSION = 2;
+// State that only grows during a run (aggregates, history, duplicate signatures) is appended as numbered
+// journal records instead of being rewritten into the checkpoint after every page.
+const JOURNAL_KEY_PREFIX = 'RUN_CHECKPOINT_JOURNAL_';
+
+const checkpointState = {
+    collect: null,
+    collectJournal: null,
+    pendingSave: Promise.resolve(),
+    journalParts: 0,
+    unsavedJournal: [],
+};
+
+/**
+ * Returns the checkpoint a previous attempt of this run left in the default key-value store.
+ * A checkpoint written for a different set of searches (e.g. a resurrected run with edited input)
+ * is ignored so the run starts over instead of mixing cursors.
+ */
+export async function loadCheckpoint(searchIds) {
+    const saved = await Actor.getValue(CHECKPOINT_KEY);
+    if (!saved) return null;
+
+    const sameSearches =
+        saved.version === CHECKPOINT_VERSION &&
+        Array.isArray(saved.searchIds) &&
+        saved.searchIds.length === searchIds.length &&
+        saved.searchIds.every((searchId, index) => searchId === searchIds[index]);
+
+    if (!sameSearches) {
+        log.warning('Ignoring run checkpoint written for a different input. Starting from the first page.');
+        return null;
+    }
+
+    const journal = [];
+    for (let part = 0; part < saved.journalParts; part++) {
+        const entry = await Actor.getValue(`${JOURNAL_KEY_PREFIX}${part}`);
+        if (entry) journal.push(entry);
+    }
+    checkpointState.journalParts = saved.journalParts;
+
+    log.info('Resuming from run checkpoint', {
+        savedAt: saved.savedAt,
+        jobs: saved.totalScraped,
+        seenJobs: saved.seenJobIds?.length ?? 0,
+        journalParts: saved.journalParts,
+    });
+    return { ...saved, journal };
+}
+
+async function writeCheckpoint() {
+    // Both are copied in the same tick so the cursor and the journal describe the same pushed records,
+    // whatever the next page changes while they are being written.
+    const checkpoint = structuredClone(checkpointState.collect());
+    const journalEntry = checkpointState.collectJournal?.();
+    if (journalEntry) checkpointState.unsavedJournal.push(structuredClone(journalEntry));
+
+    // Journal records are written first, so the checkpoint never counts a part that is missing. A part
+    // that failed to save stays queued for the next save.
+    while (checkpointState.unsavedJournal.length) {
+        await Actor.setValue(`${JOURNAL_KEY_PREFIX}${checkpointState.journalParts}`, checkpointState.unsavedJournal[0]);
+        checkpointState.unsavedJournal.shift();
+        checkpointState.journalParts += 1;
+    }
+
+    await Actor.setValue(CHECKPOINT_KEY, {
+        version: CHECKPOINT_VERSION,
+        savedAt: new Date().toISOString(),
+        journalParts: checkpointState.journalParts,
+        ...checkpoint,
+    });
+}
+
+/**
+ * Writes the current run state; called after every finished results page. Saves are chained so a
+ * `persistState` event firing mid-page can never land after, and overwrite, a newer checkpoint.
+ */
+export function saveCheckpoint() {
+    if (!checkpointState.collect) return Promise.resolve();
+
+    checkpointState.pendingSave = checkpointState.pendingSave
+        .then(() => writeCheckpoint())
+        .catch((error) => log.warning(`Saving run checkpoint failed: ${error.message}`));
+
+    return checkpointState.pendingSave;
+}
+
+/**
+ * Registers the functions that snapshot the run state and save it on the platform's `persistState`
+ * (periodic) and `migrating` events, in addition to the page saves. `collect` returns the cursor and
+ * counters, which are rewritten on every save; `collectJournal` returns what was added since its
+ * previous call, or null, and is appended as the next journal record.
+ */
+export function enableCheckpoints(collect, collectJournal) {
+    checkpointState.collect = collect;
+    checkpointState.collectJournal = collectJournal;
+
+    Actor.on('persistState', () => saveCheckpoint());
+    Actor.on('migrating', async () => {
+        log.info('Migration announced, saving run checkpoint');
+        await saveCheckpoint();
+    });
+}
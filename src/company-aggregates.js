@@ -0,0 +1,125 @@
+import { Actor, log } from 'apify';
+
+import { getCompanyMatchKey } from './company-normalization.js';
+
+const COMPANIES_KEY = 'COMPANIES';
+const MAX_VALUES_PER_LIST = 50;
+
+const companiesByKey = new Map();
+// Companies updated since the last checkpoint journal entry.
+const unsavedKeys = new Set();
+
+function getCompanyKey(record) {
+    if (record.companyId) return `id:${record.companyId}`;
+    const name = getCompanyMatchKey(record.companyCanonicalName || record.company);
+    return name ? `name:${name}` : '';
+}
+
+function addUnique(list, value) {
+    if (value && list.length < MAX_VALUES_PER_LIST && !list.includes(value)) list.push(value);
+}
+
+function pickMin(current, value) {
+    if (typeof value !== 'number') return current;
+    return current === null ? value : Math.min(current, value);
+}
+
+function pickMax(current, value) {
+    if (typeof value !== 'number') return current;
+    return current === null ? value : Math.max(current, value);
+}
+
+/**
+ * Folds pushed job records into one entry per company, keyed by companyId and falling back to
+ * the company name. Closed records from incremental mode are not open roles and are skipped, and so
+ * are records marked as near-duplicates of an earlier listing.
+ */
+export function trackCompanyRecords(records) {
+    for (const record of records) {
+        if (record.recordType === 'closed' || record.duplicateOf) continue;
+
+        const key = getCompanyKey(record);
+        if (!key) continue;
+
+        let entry = companiesByKey.get(key);
+        if (!entry) {
+            entry = {
+                company: record.company || record.companyCanonicalName || '',
+                companyCanonicalName: record.companyCanonicalName || '',
+                companyNormalized: record.companyNormalized || '',
+                isStaffingAgency: record.isStaffingAgency === true,
+                companyId: record.companyId || '',
+                companyUrl: record.companyUrl || '',
+                companyLogoUrl: record.companyLogoUrl || '',
+                openRoles: 0,
+                remoteRoles: 0,
+                titles: [],
+                locations: [],
+                searchIds: [],
+                salaryAnnualMin: null,
+                salaryAnnualMax: null,
+                firstPostedAt: null,
+                lastPostedAt: null,
+            };
+            companiesByKey.set(key, entry);
+        }
+
+        unsavedKeys.add(key);
+        entry.openRoles += 1;
+        if (record.isRemote) entry.remoteRoles += 1;
+        entry.companyUrl ||= record.companyUrl || '';
+        entry.companyLogoUrl ||= record.companyLogoUrl || '';
+        addUnique(entry.titles, record.title);
+        addUnique(entry.locations, record.location);
+        addUnique(entry.searchIds, record.searchId);
+
+        entry.salaryAnnualMin = pickMin(entry.salaryAnnualMin, record.salaryAnnualMin ?? record.salaryAnnualMax);
+        entry.salaryAnnualMax = pickMax(entry.salaryAnnualMax, record.salaryAnnualMax ?? record.salaryAnnualMin);
+
+        if (record.postedAtUtc) {
+            if (!entry.firstPostedAt || record.postedAtUtc < entry.firstPostedAt)
+                entry.firstPostedAt = record.postedAtUtc;
+            if (!entry.lastPostedAt || record.postedAtUtc > entry.lastPostedAt) entry.lastPostedAt = record.postedAtUtc;
+        }
+    }
+}
+
+/**
+ * The company entries updated since the previous call, for the run checkpoint journal. A later
+ * journal entry for the same company replaces the earlier one on restore.
+ */
+export function takeCompanyJournal() {
+    if (!unsavedKeys.size) return null;
+    const entries = [...unsavedKeys].map((key) => [key, companiesByKey.get(key)]);
+    unsavedKeys.clear();
+    return entries;
+}
+
+export function restoreCompanyJournal(entries = []) {
+    for (const [key, entry] of entries) companiesByKey.set(key, entry);
+}
+
+export function getCompanyCount() {
+    return companiesByKey.size;
+}
+
+/**
+ * Writes the COMPANIES record to the default key-value store, sorted by open roles so the most
+ * active hirers come first.
+ */
+export async function saveCompanyAggregates() {
+    const companies = [...companiesByKey.values()]
+        .map((entry) => ({
+            ...entry,
+            remoteShare: entry.openRoles ? Math.round((entry.remoteRoles / entry.openRoles) * 100) / 100 : 0,
+        }))
+        .sort((a, b) => b.openRoles - a.openRoles || a.company.localeCompare(b.company));
+
+    await Actor.setValue(COMPANIES_KEY, {
+        generatedAt: new Date().toISOString(),
+        totalCompanies: companies.length,
+        companies,
+    });
+
+    log.info(`Saved ${companies.length} company aggregates to ${COMPANIES_KEY}`);
+}
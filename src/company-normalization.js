@@ -0,0 +1,150 @@
+import { readFile } from 'node:fs/promises';
+
+const STAFFING_AGENCIES_URL = new URL('./data/staffing-agencies.json', import.meta.url);
+
+// Legal-form words dropped from the end of a company name, matched after punctuation is removed.
+const LEGAL_SUFFIXES = new Set([
+    'inc',
+    'incorporated',
+    'llc',
+    'lc',
+    'ltd',
+    'limited',
+    'corp',
+    'corporation',
+    'co',
+    'company',
+    'lp',
+    'llp',
+    'lllp',
+    'plc',
+    'pc',
+    'pllc',
+    'pa',
+    'gmbh',
+    'ag',
+    'sa',
+    'nv',
+    'bv',
+    'srl',
+    'pty',
+    'ulc',
+]);
+
+// A single word an agency adds to its listed name for a country or staffing line, as in "Adecco USA".
+// Industry words such as "technologies" are left out: "Hudson Technologies" is not the agency Hudson.
+// Agency divisions named after an industry are listed in full in the agency list instead.
+const AGENCY_DIVISION_WORDS = new Set([
+    'usa',
+    'us',
+    'america',
+    'americas',
+    'international',
+    'global',
+    'staffing',
+    'talent',
+    'workforce',
+    'it',
+]);
+
+// Joining words kept lower-case when a shouted or lower-case name is re-cased, as in "Bank of America".
+const NAME_STOPWORDS = new Set(['a', 'an', 'and', 'at', 'by', 'de', 'for', 'in', 'of', 'on', 'the', 'to']);
+
+// Words in the company name itself that mark a recruiting business.
+const AGENCY_NAME_REGEX =
+    /\b(?:staffing|recruiting|recruitment|recruiters|headhunters?|personnel|talent (?:solutions|partners|acquisition group)|employment (?:agency|services|solutions)|temps?)\b/i;
+
+// Description phrases an agency uses when the actual employer is someone else. "Our client" alone is
+// not enough, since employers write "our client base" or "client-facing".
+const AGENCY_DESCRIPTION_REGEXES = [
+    /\b(?:our|my) (?:direct )?client,? (?:is|are) (?:currently |actively |now )?(?:seeking|looking|hiring|searching|recruiting|in need)\b/i,
+    /\b(?:our|my) (?:direct )?client, (?:a|an|one of)\b/i,
+    /\bclient of ours\b/i,
+    // Only hiring on a client's behalf; law and consulting firms also "work on behalf of our clients".
+    /\b(?:recruiting|hiring|seeking|searching|looking|sourcing|staffing|recruit|hire)\b(?: \w+){0,4} on behalf of (?:our|a|an|one of our) (?:\w+ ){0,2}clients?\b/i,
+    /\bconfidential client\b/i,
+    /\b(?:c2c|corp[\s-]to[\s-]corp)\b/i,
+];
+
+const companyState = {
+    agencyKeys: new Set(),
+};
+
+// The whole name is a listed agency, or a listed agency followed by one division word.
+function isListedAgency(key) {
+    if (companyState.agencyKeys.has(key)) return true;
+    const words = key.split(' ');
+    return (
+        words.length > 1 &&
+        AGENCY_DIVISION_WORDS.has(words[words.length - 1]) &&
+        companyState.agencyKeys.has(words.slice(0, -1).join(' '))
+    );
+}
+
+function stripLegalSuffixes(name) {
+    const words = name.split(' ');
+    while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1].toLowerCase().replace(/\./g, ''))) {
+        words.pop();
+        // "& Co." goes as a whole.
+        if (words.length > 1 && ['&', 'and'].includes(words[words.length - 1].toLowerCase())) words.pop();
+    }
+    return words.join(' ');
+}
+
+// Only fix casing when the whole name is shouted or lower-case; mixed case is the company's own styling.
+// In a shouted name, short words other than joining words are taken as acronyms ("IBM", "H&R").
+function fixCasing(name) {
+    if (name !== name.toUpperCase() && name !== name.toLowerCase()) return name;
+    const isShouted = name === name.toUpperCase();
+    return name.toLowerCase().replace(/[\p{L}\p{N}](?:[\p{L}\p{N}']|&(?=[\p{L}\p{N}]))*/gu, (word, offset) => {
+        if (word.includes('&')) return word.toUpperCase();
+        if (offset > 0 && NAME_STOPWORDS.has(word)) return word;
+        if (isShouted && word.length <= 3 && !NAME_STOPWORDS.has(word)) return word.toUpperCase();
+        return word[0].toUpperCase() + word.slice(1);
+    });
+}
+
+/**
+ * Display form of a company name without legal suffixes or casing noise, so "Acme Inc.", "ACME, INC"
+ * and "Acme Corporation" all become "Acme". Returns '' for an empty name.
+ */
+export function normalizeCompanyName(name) {
+    const cleaned = String(name || '')
+        .replace(/\s*\([^)]*\)\s*$/, '')
+        .replace(/[,.]+(?=\s|$)/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (!cleaned) return '';
+    return fixCasing(stripLegalSuffixes(cleaned));
+}
+
+/**
+ * Comparison key for a company: the normalized name lower-cased with punctuation removed.
+ */
+export function getCompanyMatchKey(name) {
+    return normalizeCompanyName(name)
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+export async function loadStaffingAgencies() {
+    const agencies = JSON.parse(await readFile(STAFFING_AGENCIES_URL, 'utf8'));
+    companyState.agencyKeys = new Set(agencies.map(getCompanyMatchKey));
+}
+
+/**
+ * Classifies a posting as coming from a staffing or recruiting agency. The bundled agency list and
+ * agency words in the company name are checked first, then client-on-behalf phrases in the description.
+ */
+export function classifyStaffingAgency(companyName, descriptionText) {
+    const key = getCompanyMatchKey(companyName);
+    if (key && isListedAgency(key)) return { isStaffingAgency: true, staffingAgencySignal: 'agency_list' };
+    if (AGENCY_NAME_REGEX.test(companyName || ''))
+        return { isStaffingAgency: true, staffingAgencySignal: 'company_name' };
+    if (AGENCY_DESCRIPTION_REGEXES.some((regex) => regex.test(descriptionText || ''))) {
+        return { isStaffingAgency: true, staffingAgencySignal: 'description' };
+    }
+    return { isStaffingAgency: false, staffingAgencySignal: null };
+}
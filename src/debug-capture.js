@@ -0,0 +1,118 @@
+import { Actor, log } from 'apify';
+
+import { toStoreKey } from './raw-pages.js';
+
+const INDEX_KEY = 'DEBUG_CAPTURE_INDEX';
+
+const captureIndex = [];
+
+function getCaptureKeyPrefix(searchId, pageNum) {
+    return toStoreKey(`DEBUG-${searchId}-p${pageNum}`);
+}
+
+// A resumed run keeps appending to the index the earlier attempt wrote.
+export async function restoreCaptureIndex() {
+    const saved = await Actor.getValue(INDEX_KEY);
+    if (Array.isArray(saved?.captures)) captureIndex.push(...saved.captures);
+}
+
+async function saveIndex() {
+    await Actor.setValue(INDEX_KEY, {
+        updatedAt: new Date().toISOString(),
+        captures: captureIndex,
+    });
+}
+
+/**
+ * Stores the forensic snapshot of a search page that produced no jobs: raw HTML, the decoded Next
+ * flight payload, the response status/headers and, when a browser was used, a full-page screenshot.
+ * Every capture is appended to the DEBUG_CAPTURE_INDEX record together with the reason.
+ */
+export async function captureFailedPage({
+    searchId,
+    pageNum,
+    url,
+    reason,
+    error,
+    pageResult,
+    flightPayload,
+    screenshot,
+}) {
+    const prefix = getCaptureKeyPrefix(searchId, pageNum);
+    const keys = {};
+
+    try {
+        if (pageResult?.html) {
+            keys.html = `${prefix}-html`;
+            await Actor.setValue(keys.html, pageResult.html, { contentType: 'text/html; charset=utf-8' });
+        }
+
+        if (flightPayload) {
+            keys.flightPayload = `${prefix}-flight`;
+            await Actor.setValue(keys.flightPayload, flightPayload, { contentType: 'text/plain; charset=utf-8' });
+        }
+
+        if (pageResult) {
+            keys.response = `${prefix}-response`;
+            await Actor.setValue(keys.response, {
+                url,
+                status: pageResult.status ?? null,
+                headers: pageResult.headers || {},
+                mode: pageResult.mode || '',
+                challengeDetected: Boolean(pageResult.challengeDetected),
+                usedChallengeRetry: Boolean(pageResult.usedChallengeRetry),
+                htmlLength: pageResult.html?.length || 0,
+            });
+        }
+
+        if (screenshot) {
+            keys.screenshot = `${prefix}-screenshot`;
+            await Actor.setValue(keys.screenshot, screenshot, { contentType: 'image/png' });
+        }
+
+        captureIndex.push({
+            searchId,
+            pageNum,
+            url,
+            reason,
+            error: error || undefined,
+            status: pageResult?.status ?? null,
+            capturedAt: new Date().toISOString(),
+            keys,
+        });
+        await saveIndex();
+
+        log.info(`[${searchId}] Debug capture saved for page ${pageNum}`, { reason, keys: Object.values(keys) });
+    } catch (captureError) {
+        log.warning(`[${searchId}] Debug capture failed for page ${pageNum}: ${captureError.message}`);
+    }
+}
+
+export async function captureFailedDetails({ searchId, pageNum, url, failures }) {
+    if (!failures?.length) return;
+
+    const key = `${getCaptureKeyPrefix(searchId, pageNum)}-details`;
+
+    try {
+        await Actor.setValue(key, { url, failures });
+        captureIndex.push({
+            searchId,
+            pageNum,
+            url,
+            reason: 'detail_failures',
+            failedListings: failures.length,
+            statuses: [...new Set(failures.map((failure) => failure.status))],
+            capturedAt: new Date().toISOString(),
+            keys: { detailFailures: key },
+        });
+        await saveIndex();
+    } catch (captureError) {
+        log.warning(
+            `[${searchId}] Debug capture of detail failures failed for page ${pageNum}: ${captureError.message}`,
+        );
+    }
+}
+
+export function getCaptureCount() {
+    return captureIndex.length;
+}
@@ -0,0 +1,139 @@
+import { decodeHtmlEntities } from './html-text.js';
+
+export const SECTION_FIELDS = [
+    'responsibilities',
+    'requirements',
+    'preferredQualifications',
+    'benefits',
+    'aboutCompany',
+];
+
+// Order matters: "Preferred qualifications" must win over "qualifications", "About you" over "About ...".
+const SECTION_HEADING_PATTERNS = [
+    ['preferredQualifications', /\b(preferred|nice[\s-]to[\s-]haves?|bonus points|desired|pluses|ideal(ly)?)\b/i],
+    [
+        'requirements',
+        /\b(requirements?|required|qualifications?|what you('ll| will)? (need|bring)|must[\s-]haves?|skills|who you are|about you|experience|education)\b/i,
+    ],
+    [
+        'responsibilities',
+        /\b(responsibilit(y|ies)|duties|what you('ll| will) do|day[\s-]to[\s-]day|your role|in this role|the role|key tasks|accountabilities|essential functions)\b/i,
+    ],
+    ['benefits', /\b(benefits?|perks|what we offer|we offer|why (join|work)|compensation|pay and|rewards)\b/i],
+    [
+        'aboutCompany',
+        /\b(about (?!(the )?(job|role|position|you)\b)|who we are|company (overview|description)|our (company|mission|story))/i,
+    ],
+];
+
+const MAX_HEADING_LENGTH = 80;
+const MAX_BULLETS_PER_SECTION = 50;
+const BLOCK_TAGS = new Set(['p', 'li', 'ul', 'ol', 'br']);
+
+function cleanText(text) {
+    return decodeHtmlEntities(text)
+        .replace(/^[\s•·*▪◦‣-]+/, '')
+        .trim();
+}
+
+/**
+ * Turns sanitized description HTML (p/br/strong/em/ul/ol/li only) into a flat list of blocks.
+ * `lead` is the bold text a block starts with, used to spot "<strong>Requirements:</strong> ..." lead-ins.
+ */
+function splitIntoBlocks(html) {
+    const blocks = [];
+    let text = '';
+    let lead = '';
+    let readingLead = false;
+    let itemDepth = 0;
+
+    const flush = () => {
+        const cleaned = cleanText(text);
+        if (cleaned) blocks.push({ kind: itemDepth > 0 ? 'item' : 'paragraph', text: cleaned, lead: cleanText(lead) });
+        text = '';
+        lead = '';
+        readingLead = false;
+    };
+
+    for (const [, closing, tagName, content] of html.matchAll(/<(\/?)([a-z]+)>|([^<]+)/gi)) {
+        if (content !== undefined) {
+            if (readingLead) lead += content;
+            text += content;
+            continue;
+        }
+
+        const tag = tagName.toLowerCase();
+        if (BLOCK_TAGS.has(tag)) {
+            flush();
+            if (tag === 'li') itemDepth += closing ? -1 : 1;
+            itemDepth = Math.max(itemDepth, 0);
+        } else if (tag === 'strong') {
+            if (!closing && !text.trim()) readingLead = true;
+            if (closing) readingLead = false;
+        }
+    }
+    flush();
+
+    return blocks;
+}
+
+function matchSection(headingText) {
+    const match = SECTION_HEADING_PATTERNS.find(([, pattern]) => pattern.test(headingText));
+    return match ? match[0] : null;
+}
+
+/**
+ * Recognizes headings in three forms: a paragraph that is entirely bold, a short line ending in ":"
+ * and a short plain line naming a known section. A bold lead-in followed by more text is split into
+ * a heading and its first bullet.
+ */
+function readHeading(block) {
+    if (block.kind !== 'paragraph') return null;
+
+    const { text, lead } = block;
+    if (lead && lead.length <= MAX_HEADING_LENGTH) {
+        if (lead === text) return { heading: text, rest: '' };
+        if (lead.endsWith(':') || matchSection(lead)) {
+            return { heading: lead, rest: cleanText(text.slice(lead.length).replace(/^\s*:/, '')) };
+        }
+    }
+
+    if (text.length > MAX_HEADING_LENGTH) return null;
+    if (text.endsWith(':')) return { heading: text, rest: '' };
+    if (!/[.!?]$/.test(text) && text.split(/\s+/).length <= 6 && matchSection(text)) return { heading: text, rest: '' };
+    return null;
+}
+
+/**
+ * Splits a job description into bullet arrays per section. Content under headings that do not map to
+ * a known section, and anything before the first heading, is left out. A plain paragraph right after a
+ * section's list closes the section, so trailing lines such as "Job Type: Full-time" are not swept in.
+ */
+export function extractDescriptionSections(descriptionHtml) {
+    const sections = Object.fromEntries(SECTION_FIELDS.map((field) => [field, []]));
+    if (!descriptionHtml || typeof descriptionHtml !== 'string') return sections;
+
+    let currentSection = null;
+    let previousKind = '';
+    const addBullet = (bullet) => {
+        const list = currentSection ? sections[currentSection] : null;
+        if (!list || !bullet || list.length >= MAX_BULLETS_PER_SECTION || list.includes(bullet)) return;
+        list.push(bullet);
+    };
+
+    for (const block of splitIntoBlocks(descriptionHtml)) {
+        const heading = readHeading(block);
+        if (heading) {
+            currentSection = matchSection(heading.heading.replace(/:$/, ''));
+            addBullet(heading.rest);
+            previousKind = 'heading';
+            continue;
+        }
+
+        if (block.kind === 'paragraph' && previousKind === 'item') currentSection = null;
+        addBullet(block.text);
+        previousKind = block.kind;
+    }
+
+    return sections;
+}
@@ -0,0 +1,261 @@
+import { log } from 'apify';
+
+// Statuses that mean the endpoint is refusing us rather than failing on its own.
+const BLOCK_STATUSES = new Set([403, 429]);
+const WINDOW_SIZE = 20;
+const MIN_WINDOW_SAMPLES = 8;
+const ERROR_RATE_THRESHOLD = 0.3;
+const BLOCK_RATE_THRESHOLD = 0.5;
+const FAILURE_RATE_THRESHOLD = 0.8;
+const MAX_CONSECUTIVE_FAILURES = 6;
+const SUCCESS_STREAK_TO_GROW = 10;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 10000;
+const MAX_RETRY_AFTER_WAIT_MS = 60000;
+const BASE_CIRCUIT_COOLDOWN_MS = 60000;
+const MAX_CIRCUIT_COOLDOWN_MS = 600000;
+
+const limiterState = {
+    maxConcurrency: 8,
+    retries: 2,
+    concurrency: 8,
+    window: [],
+    successStreak: 0,
+    consecutiveFailures: 0,
+    pauseLevel: 0,
+    retryAfterUntil: 0,
+    circuit: 'closed',
+    circuitOpenUntil: 0,
+    circuitCooldownMs: BASE_CIRCUIT_COOLDOWN_MS,
+    counters: {
+        statusCounts: {},
+        concurrencyDecreases: 0,
+        retryAfterWaits: 0,
+        backoffMs: 0,
+        circuitOpens: 0,
+        skipped: 0,
+    },
+};
+
+const sleep = (ms) =>
+    new Promise((resolve) => {
+        setTimeout(resolve, ms);
+    });
+
+// Full jitter keeps parallel workers and parallel runs from retrying in lockstep.
+const withJitter = (ms) => Math.round(ms / 2 + Math.random() * (ms / 2));
+
+function classifyOutcome({ ok, status }) {
+    if (ok) return 'success';
+    if (BLOCK_STATUSES.has(status)) return 'blocked';
+    if (status === 0 || status >= 500) return 'error';
+    return 'miss';
+}
+
+/**
+ * Parses a Retry-After header given either as delay seconds or as an HTTP date.
+ */
+function parseRetryAfterMs(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+function getWindowRate(outcomes) {
+    const { window } = limiterState;
+    if (window.length < MIN_WINDOW_SAMPLES) return 0;
+    return window.filter((outcome) => outcomes.includes(outcome)).length / window.length;
+}
+
+function openCircuit(reason, cooldownMs = limiterState.circuitCooldownMs) {
+    limiterState.circuit = 'open';
+    limiterState.circuitOpenUntil = Date.now() + cooldownMs;
+    limiterState.circuitCooldownMs = Math.min(limiterState.circuitCooldownMs * 2, MAX_CIRCUIT_COOLDOWN_MS);
+    limiterState.counters.circuitOpens += 1;
+    limiterState.window = [];
+    limiterState.consecutiveFailures = 0;
+    log.warning(
+        `Pausing job detail calls for ${Math.round(cooldownMs / 1000)}s (${reason}). Jobs are saved without details meanwhile.`,
+    );
+}
+
+function closeCircuit() {
+    limiterState.circuit = 'closed';
+    limiterState.circuitCooldownMs = BASE_CIRCUIT_COOLDOWN_MS;
+    limiterState.pauseLevel = 0;
+    log.info('Job detail endpoint recovered, resuming detail calls');
+}
+
+function decreaseConcurrency() {
+    if (limiterState.concurrency <= 1) return;
+    limiterState.concurrency = Math.max(Math.floor(limiterState.concurrency / 2), 1);
+    limiterState.counters.concurrencyDecreases += 1;
+    log.debug(`Lowered job detail concurrency to ${limiterState.concurrency}`);
+}
+
+function recordOutcome(result) {
+    const { counters } = limiterState;
+    const outcome = classifyOutcome(result);
+    counters.statusCounts[result.status] = (counters.statusCounts[result.status] || 0) + 1;
+
+    limiterState.window.push(outcome);
+    if (limiterState.window.length > WINDOW_SIZE) limiterState.window.shift();
+
+    const retryAfterMs = parseRetryAfterMs(result.retryAfter);
+    if (retryAfterMs !== null && !result.ok) {
+        // A wait longer than we are willing to sleep through is the server asking for a real pause.
+        if (retryAfterMs > MAX_RETRY_AFTER_WAIT_MS) {
+            if (limiterState.circuit !== 'open')
+                openCircuit(`Retry-After ${Math.round(retryAfterMs / 1000)}s`, retryAfterMs);
+            return;
+        }
+        limiterState.retryAfterUntil = Math.max(limiterState.retryAfterUntil, Date.now() + retryAfterMs);
+    }
+
+    if (outcome === 'success') {
+        limiterState.consecutiveFailures = 0;
+        if (limiterState.circuit === 'half-open') closeCircuit();
+        limiterState.successStreak += 1;
+        if (
+            limiterState.successStreak >= SUCCESS_STREAK_TO_GROW &&
+            limiterState.concurrency < limiterState.maxConcurrency
+        ) {
+            limiterState.concurrency += 1;
+            limiterState.successStreak = 0;
+        }
+        return;
+    }
+
+    limiterState.successStreak = 0;
+    if (outcome === 'miss' || limiterState.circuit === 'open') return;
+
+    limiterState.consecutiveFailures += 1;
+    if (limiterState.circuit === 'half-open') {
+        openCircuit(`status ${result.status} after cool-down`);
+    } else if (limiterState.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+        openCircuit(`${limiterState.consecutiveFailures} consecutive failed calls, last status ${result.status}`);
+    } else if (getWindowRate(['blocked']) >= BLOCK_RATE_THRESHOLD) {
+        openCircuit(`${Math.round(getWindowRate(['blocked']) * 100)}% of recent calls got 403/429`);
+    } else if (getWindowRate(['blocked', 'error']) >= FAILURE_RATE_THRESHOLD) {
+        openCircuit(`${Math.round(getWindowRate(['blocked', 'error']) * 100)}% of recent calls failed`);
+    }
+}
+
+/**
+ * Waits before the next chunk or retry: the longest Retry-After seen so far, otherwise a jittered
+ * exponential delay that grows while the recent error rate stays high and resets once it drops.
+ */
+async function waitBeforeNextCall(attempt = 1) {
+    const { counters } = limiterState;
+    const retryAfterWaitMs = limiterState.retryAfterUntil - Date.now();
+    if (retryAfterWaitMs > 0) {
+        counters.retryAfterWaits += 1;
+        counters.backoffMs += retryAfterWaitMs;
+        await sleep(retryAfterWaitMs);
+        return;
+    }
+
+    const errorRate = getWindowRate(['blocked', 'error']);
+    limiterState.pauseLevel = errorRate >= ERROR_RATE_THRESHOLD ? limiterState.pauseLevel + 1 : 0;
+    const level = Math.max(limiterState.pauseLevel, attempt - 1);
+    if (level === 0) return;
+
+    const delayMs = withJitter(Math.min(BASE_BACKOFF_MS * 2 ** (level - 1), MAX_BACKOFF_MS));
+    counters.backoffMs += delayMs;
+    await sleep(delayMs);
+}
+
+export function configureDetailLimiter({ maxConcurrency, retries }) {
+    limiterState.maxConcurrency = Math.max(maxConcurrency, 1);
+    limiterState.concurrency = limiterState.maxConcurrency;
+    limiterState.retries = Math.max(retries, 0);
+}
+
+/**
+ * Whether detail calls are paused. Once the cool-down has passed the circuit turns half-open and lets
+ * a single probe call through; its outcome closes the circuit or opens it again for twice as long.
+ */
+export function isDetailCircuitOpen() {
+    if (limiterState.circuit !== 'open') return false;
+    if (Date.now() < limiterState.circuitOpenUntil) return true;
+
+    limiterState.circuit = 'half-open';
+    limiterState.concurrency = 1;
+    return false;
+}
+
+/**
+ * Runs `fetchOne(item, attempt)` for every item in chunks sized by the current adaptive concurrency,
+ * retrying failures with backoff. `fetchOne` resolves to `{ ok, status, retryAfter, ... }`.
+ * Items not yet tried when the circuit opens resolve to `{ ok: false, skipped: true }` without a call.
+ */
+export async function runLimitedDetailCalls(items, fetchOne) {
+    const results = new Array(items.length);
+    const pending = items.map((item, index) => ({ item, index, attempt: 1 }));
+
+    while (pending.length) {
+        if (isDetailCircuitOpen()) {
+            // Items that were already tried keep their last failure; only untried ones count as skipped.
+            for (const { item, index, lastResult } of pending.splice(0)) {
+                if (!lastResult) limiterState.counters.skipped += 1;
+                results[index] = lastResult || {
+                    item,
+                    ok: false,
+                    skipped: true,
+                    status: 0,
+                    body: 'Detail circuit open',
+                };
+            }
+            break;
+        }
+
+        const chunk = pending.splice(0, limiterState.concurrency);
+        await waitBeforeNextCall(Math.max(...chunk.map(({ attempt }) => attempt)));
+
+        const chunkResults = await Promise.all(
+            chunk.map(({ item, attempt }) =>
+                fetchOne(item, attempt).catch((error) => ({
+                    ok: false,
+                    status: 0,
+                    body: String(error?.message || error),
+                })),
+            ),
+        );
+
+        let chunkBlocked = false;
+        chunkResults.forEach((result, position) => {
+            const entry = chunk[position];
+            recordOutcome(result);
+            if (classifyOutcome(result) === 'blocked') chunkBlocked = true;
+            if (!result.ok && entry.attempt <= limiterState.retries) {
+                pending.push({ ...entry, attempt: entry.attempt + 1, lastResult: { item: entry.item, ...result } });
+            } else {
+                results[entry.index] = { item: entry.item, ...result };
+            }
+        });
+
+        // At most one decrease per chunk, otherwise a single bad chunk would collapse straight to 1.
+        if (chunkBlocked || getWindowRate(['blocked', 'error']) >= ERROR_RATE_THRESHOLD) decreaseConcurrency();
+    }
+
+    return results;
+}
+
+export function getDetailLimiterStats() {
+    return {
+        ...limiterState.counters,
+        concurrency: limiterState.concurrency,
+        circuit: limiterState.circuit,
+    };
+}
+
+export function getDetailLimiterSnapshot() {
+    return limiterState.counters;
+}
+
+// Counters carry over a resume; concurrency and the circuit start fresh because time has passed.
+export function restoreDetailLimiterSnapshot(counters) {
+    if (counters) Object.assign(limiterState.counters, counters);
+}
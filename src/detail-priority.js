@@ -0,0 +1,73 @@
+export const DETAIL_PRIORITIES = ['page_order', 'missing_salary', 'newest', 'keyword'];
+
+export function normalizeDetailPriority(value, keywords) {
+    const priority = typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : 'page_order';
+    if (!DETAIL_PRIORITIES.includes(priority)) {
+        throw new Error(`Invalid detailPriority "${value}". Use one of: ${DETAIL_PRIORITIES.join(', ')}.`);
+    }
+
+    const keywordList = Array.isArray(keywords)
+        ? keywords.map((keyword) => String(keyword).trim().toLowerCase()).filter(Boolean)
+        : [];
+    if (priority === 'keyword' && !keywordList.length) {
+        throw new Error('detailPriority "keyword" needs at least one entry in detailPriorityKeywords.');
+    }
+
+    return { priority, keywords: keywordList };
+}
+
+function hasCardSalary(card) {
+    const pay = card?.pay || {};
+    return ['min', 'max', 'minAnnual', 'maxAnnual'].some((field) => typeof pay[field] === 'number');
+}
+
+function matchesKeyword(card, keywords) {
+    const text = [card?.title, card?.company?.canonicalDisplayName || card?.company?.name, card?.shortDescription]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+    return keywords.some((keyword) => text.includes(keyword));
+}
+
+// Listings the policy explicitly wants enriched. `newest` only orders candidates and prefers none.
+function isPreferred(card, { priority, keywords }) {
+    if (priority === 'missing_salary') return !hasCardSalary(card);
+    if (priority === 'keyword') return matchesKeyword(card, keywords);
+    return false;
+}
+
+/**
+ * Orders one page's detail candidates so the listings the policy cares about are enriched first when
+ * the remaining budget cannot cover the whole page. Ties keep the page order.
+ */
+export function rankDetailCandidates(jobKeys, cardsByListing, { priority, keywords }) {
+    if (priority === 'page_order') return jobKeys;
+
+    const scoreOf = (jobKey) => {
+        const card = cardsByListing[jobKey.listingKey];
+        if (priority === 'missing_salary') return hasCardSalary(card) ? 0 : 1;
+        if (priority === 'keyword') return matchesKeyword(card, keywords) ? 1 : 0;
+        return Date.parse(card?.status?.postedAtUtc || '') || 0;
+    };
+
+    return jobKeys
+        .map((jobKey, index) => ({ jobKey, index, score: scoreOf(jobKey) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(({ jobKey }) => jobKey);
+}
+
+/**
+ * Picks the detail calls for one page. With `page_order` the page takes whatever budget is left. Other
+ * policies cap the page at an even share of the remaining budget over the pages the run still expects,
+ * so early pages cannot use up the budget before the jobs the policy prefers on later pages are reached.
+ * The last expected page gets everything left. Preferred listings (no card salary, keyword match) may
+ * go over the share; the rest fill it up.
+ */
+export function selectDetailCandidates(jobKeys, cardsByListing, policy, { remainingBudget, pagesLeft }) {
+    const ranked = rankDetailCandidates(jobKeys, cardsByListing, policy);
+    if (policy.priority === 'page_order' || !Number.isFinite(remainingBudget)) return ranked.slice(0, remainingBudget);
+
+    const pageShare = Math.ceil(remainingBudget / Math.max(pagesLeft, 1));
+    const preferredCount = ranked.filter((jobKey) => isPreferred(cardsByListing[jobKey.listingKey], policy)).length;
+    return ranked.slice(0, Math.min(Math.max(preferredCount, pageShare), remainingBudget));
+}
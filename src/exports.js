@@ -0,0 +1,394 @@
+import { readFile } from 'node:fs/promises';
+
+import AdmZip from 'adm-zip';
+import { Actor, log } from 'apify';
+
+import { toFlatRecord } from './output-shape.js';
+
+export const EXPORT_FORMATS = ['csv', 'ndjson', 'xlsx', 'jsonld'];
+
+const EXPORT_KEYS = {
+    csv: 'EXPORT_CSV',
+    ndjson: 'EXPORT_NDJSON',
+    xlsx: 'EXPORT_XLSX',
+    jsonld: 'EXPORT_JSONLD',
+};
+
+const DATASET_SCHEMA_URL = new URL('../.actor/dataset_schema.json', import.meta.url);
+
+// Records read from the dataset per request, so exports never hold the whole dataset in memory.
+const EXPORT_PAGE_SIZE = 1000;
+
+// ZipRecruiter gives no expiry date, so JSON-LD validThrough assumes postings stay open this long.
+const JSONLD_VALID_DAYS = 30;
+
+const EMPLOYMENT_TYPE_MAP = {
+    'full time': 'FULL_TIME',
+    'part time': 'PART_TIME',
+    contract: 'CONTRACTOR',
+    contractor: 'CONTRACTOR',
+    temporary: 'TEMPORARY',
+    internship: 'INTERN',
+    'per diem': 'PER_DIEM',
+    volunteer: 'VOLUNTEER',
+};
+
+const SALARY_UNIT_MAP = {
+    hourly: 'HOUR',
+    daily: 'DAY',
+    weekly: 'WEEK',
+    monthly: 'MONTH',
+    annually: 'YEAR',
+    annual: 'YEAR',
+    yearly: 'YEAR',
+};
+
+export function normalizeExportFormats(value) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value))
+        throw new Error(`exportFormats must be an array. Allowed values: ${EXPORT_FORMATS.join(', ')}.`);
+
+    const formats = [...new Set(value.map((format) => String(format).trim().toLowerCase()).filter(Boolean))];
+    const unknown = formats.filter((format) => !EXPORT_FORMATS.includes(format));
+    if (unknown.length) {
+        throw new Error(
+            `Unknown exportFormats value(s): ${unknown.join(', ')}. Allowed values: ${EXPORT_FORMATS.join(', ')}.`,
+        );
+    }
+    return formats;
+}
+
+/**
+ * Columns follow the property order of the dataset schema, so CSV and XLSX files keep the same layout
+ * between runs. Renamed columns keep the place of the field they were renamed from. Fields the schema
+ * does not list are appended in the order they first appear.
+ */
+async function resolveColumns(presentColumns, restoreFieldName) {
+    let schemaColumns = [];
+    try {
+        const schema = JSON.parse(await readFile(DATASET_SCHEMA_URL, 'utf8'));
+        schemaColumns = Object.keys(schema?.fields?.properties || {});
+    } catch (error) {
+        log.warning(`Could not read dataset schema for export columns: ${error.message}`);
+    }
+
+    const present = [...presentColumns];
+    const columns = schemaColumns.flatMap((column) =>
+        present.filter((key) => {
+            const original = restoreFieldName ? restoreFieldName(key) : key;
+            return original === column || original.startsWith(`${column}.`);
+        }),
+    );
+    for (const column of present) {
+        if (!columns.includes(column)) columns.push(column);
+    }
+    return columns;
+}
+
+// Nested-shape groups become dotted columns such as "salary.min" in CSV and XLSX.
+function flattenForTable(record) {
+    const row = {};
+    for (const [key, value] of Object.entries(record)) {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            for (const [member, memberValue] of Object.entries(value)) row[`${key}.${member}`] = memberValue;
+        } else {
+            row[key] = value;
+        }
+    }
+    return row;
+}
+
+function toCellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.join('; ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+function toCsvField(value) {
+    const text = String(toCellValue(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(values) {
+    return `${values.map(toCsvField).join(',')}\r\n`;
+}
+
+function escapeXml(value) {
+    return (
+        String(value)
+            // eslint-disable-next-line no-control-regex
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+    );
+}
+
+function getColumnLetter(index) {
+    let letter = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+    }
+    return letter;
+}
+
+function buildXlsxCell(value, ref) {
+    const cellValue = toCellValue(value);
+    if (typeof cellValue === 'number' && Number.isFinite(cellValue)) return `<c r="${ref}"><v>${cellValue}</v></c>`;
+    if (typeof cellValue === 'boolean') return `<c r="${ref}" t="b"><v>${cellValue ? 1 : 0}</v></c>`;
+    if (cellValue === '') return '';
+    // Excel rejects cells longer than 32,767 characters.
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(cellValue).slice(0, 32767))}</t></is></c>`;
+}
+
+function buildXlsxRow(values, rowIndex) {
+    const cells = values
+        .map((value, columnIndex) => buildXlsxCell(value, `${getColumnLetter(columnIndex)}${rowIndex + 1}`))
+        .join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+}
+
+/**
+ * Minimal single-sheet workbook with inline strings; enough for Excel, LibreOffice and Google Sheets.
+ */
+function buildXlsx(sheetRows) {
+    const zip = new AdmZip();
+    zip.addFile(
+        '[Content_Types].xml',
+        Buffer.from(
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '</Types>',
+        ),
+    );
+    zip.addFile(
+        '_rels/.rels',
+        Buffer.from(
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>',
+        ),
+    );
+    zip.addFile(
+        'xl/workbook.xml',
+        Buffer.from(
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+                'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                '<sheets><sheet name="Jobs" sheetId="1" r:id="rId1"/></sheets></workbook>',
+        ),
+    );
+    zip.addFile(
+        'xl/_rels/workbook.xml.rels',
+        Buffer.from(
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '</Relationships>',
+        ),
+    );
+    zip.addFile(
+        'xl/worksheets/sheet1.xml',
+        Buffer.from(
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                `<sheetData>${sheetRows.join('')}</sheetData></worksheet>`,
+        ),
+    );
+
+    return zip.toBuffer();
+}
+
+function splitList(value) {
+    if (Array.isArray(value)) return value;
+    return typeof value === 'string'
+        ? value
+              .split(',')
+              .map((item) => item.trim())
+              .filter(Boolean)
+        : [];
+}
+
+function buildBaseSalary(record) {
+    const unitText = SALARY_UNIT_MAP[String(record.salaryInterval || '').toLowerCase()];
+    const hasRange = typeof record.salaryMin === 'number' || typeof record.salaryMax === 'number';
+    if (hasRange && unitText) {
+        return {
+            '@type': 'MonetaryAmount',
+            currency: record.salaryCurrency || 'USD',
+            value: { '@type': 'QuantitativeValue', minValue: record.salaryMin, maxValue: record.salaryMax, unitText },
+        };
+    }
+
+    if (typeof record.salaryMinAnnual === 'number' || typeof record.salaryMaxAnnual === 'number') {
+        return {
+            '@type': 'MonetaryAmount',
+            currency: record.salaryCurrency || 'USD',
+            value: {
+                '@type': 'QuantitativeValue',
+                minValue: record.salaryMinAnnual,
+                maxValue: record.salaryMaxAnnual,
+                unitText: 'YEAR',
+            },
+        };
+    }
+
+    return undefined;
+}
+
+function addDays(isoDate, days) {
+    const time = Date.parse(isoDate);
+    return Number.isFinite(time) ? new Date(time + days * 24 * 60 * 60 * 1000).toISOString() : undefined;
+}
+
+/**
+ * Maps a dataset record to a schema.org JobPosting as described in Google's job posting guidelines.
+ */
+export function toJobPostingJsonLd(record) {
+    const employmentType = [
+        ...new Set(
+            splitList(record.jobType)
+                .map(
+                    (type) =>
+                        EMPLOYMENT_TYPE_MAP[type.toLowerCase().replace(/[\s_-]+/g, ' ')] ||
+                        (type === 'Not specified' ? '' : 'OTHER'),
+                )
+                .filter(Boolean),
+        ),
+    ];
+
+    const jobPosting = {
+        '@context': 'https://schema.org/',
+        '@type': 'JobPosting',
+        title: record.title,
+        description: record.description_html || record.description_text || record.title,
+        identifier: record.listingKey
+            ? { '@type': 'PropertyValue', name: 'ZipRecruiter', value: record.listingKey }
+            : undefined,
+        url: record.url,
+        datePosted: record.postedAtUtc || undefined,
+        validThrough: record.postedAtUtc ? addDays(record.postedAtUtc, JSONLD_VALID_DAYS) : undefined,
+        employmentType: employmentType.length ? employmentType : undefined,
+        hiringOrganization: {
+            '@type': 'Organization',
+            name: record.company || record.companyCanonicalName || undefined,
+            sameAs: record.companyUrl || undefined,
+            logo: record.companyLogoUrl || undefined,
+        },
+        jobLocation: {
+            '@type': 'Place',
+            address: {
+                '@type': 'PostalAddress',
+                addressLocality: record.locationCity || undefined,
+                addressRegion: record.locationStateCode || record.locationState || undefined,
+                addressCountry: record.locationCountryCode || record.locationCountry || undefined,
+            },
+        },
+        baseSalary: buildBaseSalary(record),
+    };
+
+    if (record.isRemote) {
+        jobPosting.jobLocationType = 'TELECOMMUTE';
+        if (jobPosting.jobLocation.address.addressCountry) {
+            jobPosting.applicantLocationRequirements = {
+                '@type': 'Country',
+                name: jobPosting.jobLocation.address.addressCountry,
+            };
+        }
+    }
+
+    // Round-tripping through JSON drops the undefined members.
+    return JSON.parse(JSON.stringify(jobPosting));
+}
+
+function restoreFieldNames(record, restoreFieldName) {
+    return Object.fromEntries(Object.entries(record).map(([key, value]) => [restoreFieldName(key), value]));
+}
+
+async function forEachRecordPage(dataset, callback) {
+    for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+        const { items } = await dataset.getData({ offset, limit: EXPORT_PAGE_SIZE });
+        if (!items.length) return;
+        await callback(items);
+        if (items.length < EXPORT_PAGE_SIZE) return;
+    }
+}
+
+// Matches JSON.stringify(postings, null, 2) without building the whole array first.
+function toJsonLdArrayItem(posting) {
+    return JSON.stringify(posting, null, 2).replace(/^/gm, '  ');
+}
+
+/**
+ * Reads every record the run pushed to the default dataset, in either output shape, and writes the
+ * requested formats to the default key-value store. The dataset is read in pages: CSV and XLSX take
+ * one pass to collect the columns and a second to write the rows, and only the finished files are
+ * kept in memory. Closed records from incremental mode are not job postings and are left out of the
+ * JSON-LD document. `restoreFieldName` undoes fieldMapping renames, so JSON-LD and the column order see
+ * the original field names while CSV, XLSX and NDJSON keep the renamed ones.
+ */
+export async function writeExports(formats, { restoreFieldName = null } = {}) {
+    const dataset = await Actor.openDataset();
+    const wantsTable = formats.includes('csv') || formats.includes('xlsx');
+
+    const presentColumns = new Set();
+    if (wantsTable) {
+        await forEachRecordPage(dataset, (records) => {
+            for (const record of records) {
+                for (const column of Object.keys(flattenForTable(record))) presentColumns.add(column);
+            }
+        });
+    }
+    const columns = wantsTable ? await resolveColumns(presentColumns, restoreFieldName) : [];
+
+    const csvChunks = formats.includes('csv') ? ['\uFEFF', toCsvLine(columns)] : null;
+    const xlsxRows = formats.includes('xlsx') ? [buildXlsxRow(columns, 0)] : null;
+    const ndjsonChunks = formats.includes('ndjson') ? [] : null;
+    const jsonLdItems = formats.includes('jsonld') ? [] : null;
+    let recordCount = 0;
+
+    await forEachRecordPage(dataset, (records) => {
+        for (const record of records) {
+            recordCount += 1;
+            if (csvChunks || xlsxRows) {
+                const row = flattenForTable(record);
+                const values = columns.map((column) => row[column]);
+                csvChunks?.push(toCsvLine(values));
+                xlsxRows?.push(buildXlsxRow(values, xlsxRows.length));
+            }
+            ndjsonChunks?.push(`${JSON.stringify(record)}\n`);
+            if (jsonLdItems) {
+                const flat = toFlatRecord(restoreFieldName ? restoreFieldNames(record, restoreFieldName) : record);
+                if (flat.recordType !== 'closed') jsonLdItems.push(toJsonLdArrayItem(toJobPostingJsonLd(flat)));
+            }
+        }
+    });
+
+    const written = {};
+    for (const format of formats) {
+        const key = EXPORT_KEYS[format];
+        if (format === 'csv') {
+            await Actor.setValue(key, csvChunks.join(''), { contentType: 'text/csv; charset=utf-8' });
+        } else if (format === 'ndjson') {
+            await Actor.setValue(key, ndjsonChunks.join(''), { contentType: 'application/x-ndjson; charset=utf-8' });
+        } else if (format === 'xlsx') {
+            await Actor.setValue(key, buildXlsx(xlsxRows), {
+                contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            });
+        } else if (format === 'jsonld') {
+            const document = jsonLdItems.length ? `[\n${jsonLdItems.join(',\n')}\n]` : '[]';
+            await Actor.setValue(key, document, { contentType: 'application/ld+json; charset=utf-8' });
+        }
+        written[format] = key;
+    }
+
+    log.info(`Exported ${recordCount} records`, written);
+    return written;
+}
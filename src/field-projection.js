@@ -0,0 +1,109 @@
+function readFieldList(value, inputName) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value) || value.some((field) => typeof field !== 'string')) {
+        throw new Error(`${inputName} must be an array of field names.`);
+    }
+    return [...new Set(value.map((field) => field.trim()).filter(Boolean))];
+}
+
+function getEditDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function describeUnknownField(field, knownFields) {
+    const [closest] = knownFields
+        .map((known) => ({ known, distance: getEditDistance(field.toLowerCase(), known.toLowerCase()) }))
+        .sort((a, b) => a.distance - b.distance);
+    return closest && closest.distance <= 3 ? `"${field}" (did you mean "${closest.known}"?)` : `"${field}"`;
+}
+
+function assertKnownFields(fields, knownFields, inputName) {
+    const unknown = fields.filter((field) => !knownFields.includes(field));
+    if (unknown.length) {
+        throw new Error(
+            `Unknown field(s) in ${inputName}: ${unknown.map((field) => describeUnknownField(field, knownFields)).join(', ')}.`,
+        );
+    }
+}
+
+/**
+ * Validates outputFields / excludeFields / fieldMapping against the fields the actor can produce and
+ * returns a function that projects and renames one record, or null when no projection was requested.
+ * Field names refer to the flat record; the projection runs before the output shape is applied.
+ */
+export function buildFieldProjection({ outputFields, excludeFields, fieldMapping }, knownFields) {
+    const allowList = readFieldList(outputFields, 'outputFields');
+    const denyList = readFieldList(excludeFields, 'excludeFields');
+
+    if (
+        fieldMapping !== undefined &&
+        fieldMapping !== null &&
+        (typeof fieldMapping !== 'object' || Array.isArray(fieldMapping))
+    ) {
+        throw new Error('fieldMapping must be an object mapping field names to new names.');
+    }
+    const renames = Object.entries(fieldMapping || {});
+
+    assertKnownFields(allowList, knownFields, 'outputFields');
+    assertKnownFields(denyList, knownFields, 'excludeFields');
+    assertKnownFields(
+        renames.map(([field]) => field),
+        knownFields,
+        'fieldMapping',
+    );
+
+    if (!allowList.length && !denyList.length && !renames.length) return null;
+
+    const keptFields = (allowList.length ? allowList : knownFields).filter((field) => !denyList.includes(field));
+    if (!keptFields.length) throw new Error('outputFields and excludeFields leave no fields to output.');
+
+    const renameMap = new Map();
+    for (const [field, newName] of renames) {
+        if (typeof newName !== 'string' || !newName.trim()) {
+            throw new Error(`fieldMapping for "${field}" must be a non-empty string.`);
+        }
+        renameMap.set(field, newName.trim());
+    }
+
+    const outputNames = keptFields.map((field) => renameMap.get(field) || field);
+    const duplicates = outputNames.filter((name, index) => outputNames.indexOf(name) !== index);
+    if (duplicates.length) {
+        throw new Error(`fieldMapping produces duplicate output field(s): ${[...new Set(duplicates)].join(', ')}.`);
+    }
+
+    // An allow-list also sets the column order; otherwise the record keeps its own order.
+    return (record) => {
+        const projected = {};
+        const fields = allowList.length ? keptFields : Object.keys(record).filter((field) => !denyList.includes(field));
+        for (const field of fields) {
+            if (record[field] !== undefined) projected[renameMap.get(field) || field] = record[field];
+        }
+        return projected;
+    };
+}
+
+/**
+ * Returns a function that maps a renamed output field back to its original name, or null when
+ * fieldMapping renames nothing. Exports use it to read the dataset with the names they map from.
+ * Expects a fieldMapping that {@link buildFieldProjection} has already validated.
+ */
+export function buildFieldRestore({ fieldMapping }) {
+    const originalNames = new Map(
+        Object.entries(fieldMapping || {}).map(([field, newName]) => [newName.trim(), field]),
+    );
+    if (!originalNames.size) return null;
+
+    return (name) => originalNames.get(name) || name;
+}
@@ -0,0 +1,40 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Rolling dates within this much of the original are the same posting event, not a bump.
+const REPOST_TOLERANCE_MS = 60 * 60 * 1000;
+
+/**
+ * Age and repost flags from the original and rolling posting dates. ZipRecruiter moves the rolling
+ * date forward when an employer bumps a posting, so a rolling date later than the original marks a repost.
+ */
+export function getPostingFreshness(postedAtUtc, rollingPostedAtUtc, now = Date.now()) {
+    const postedAt = Date.parse(postedAtUtc || '');
+    const rollingAt = Date.parse(rollingPostedAtUtc || '');
+
+    return {
+        postedAgeDays: Number.isNaN(postedAt) ? null : Math.max(Math.floor((now - postedAt) / DAY_MS), 0),
+        isRepost: !Number.isNaN(postedAt) && !Number.isNaN(rollingAt) && rollingAt - postedAt > REPOST_TOLERANCE_MS,
+    };
+}
+
+/**
+ * The posting-age window of a search: `daysBack`, or the `days` parameter of its searchUrl.
+ * Returns null when the search is not limited by age.
+ */
+export function getSearchMaxAgeDays(search) {
+    const fromInput = Number(search.daysBack);
+    if (Number.isFinite(fromInput) && fromInput > 0) return fromInput;
+    if (!search.searchUrl) return null;
+
+    const fromUrl = Number(new URL(search.searchUrl).searchParams.get('days'));
+    return Number.isFinite(fromUrl) && fromUrl > 0 ? fromUrl : null;
+}
+
+/**
+ * Checks the original posting date against the window. The site's own `days` filter is loose and lets
+ * bumped old postings through. Records without a posting date are kept because their age is unknown.
+ */
+export function isWithinMaxAge(record, maxAgeDays, now = Date.now()) {
+    const postedAt = Date.parse(record.postedAtUtc || '');
+    if (Number.isNaN(postedAt)) return true;
+    return now - postedAt <= maxAgeDays * DAY_MS;
+}
@@ -0,0 +1,211 @@
+import { readFile } from 'node:fs/promises';
+
+import { log } from 'apify';
+
+const GAZETTEER_URL = new URL('./data/us-gazetteer.json', import.meta.url);
+const METRO_AREAS_URL = new URL('./data/us-metro-areas.json', import.meta.url);
+const EARTH_RADIUS_MILES = 3958.8;
+const MAX_RADIUS_MILES = 500;
+
+// Fields the nearLocations filter adds to job records when it is on.
+export const NEAR_LOCATION_RECORD_FIELDS = ['nearLocation', 'distanceMiles'];
+
+const geoState = {
+    places: new Map(),
+    nearLocations: [],
+    counts: {
+        kept: 0,
+        remoteKept: 0,
+        outsideRadius: 0,
+        unlocated: 0,
+    },
+};
+
+// "St. Louis", "Saint Louis" and "ST LOUIS" all become "st louis"; same for Fort/Ft and Mount/Mt.
+function normalizePlaceName(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/\b(?:county|parish)\b/g, '')
+        .replace(/\bsaint\b/g, 'st')
+        .replace(/\bfort\b/g, 'ft')
+        .replace(/\bmount\b/g, 'mt')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Loads the bundled US gazetteer (one entry per city and state, with county and time zone) and joins
+ * each county to its metro area and CBSA code. Called once at startup; lookups afterwards are synchronous.
+ */
+export async function loadGazetteer() {
+    const gazetteer = JSON.parse(await readFile(GAZETTEER_URL, 'utf8'));
+    const { metroAreas } = JSON.parse(await readFile(METRO_AREAS_URL, 'utf8'));
+
+    const metroByCounty = new Map();
+    for (const { code, name, counties } of metroAreas) {
+        for (const [stateCode, names] of Object.entries(counties)) {
+            for (const county of names) metroByCounty.set(`${stateCode}|${normalizePlaceName(county)}`, { code, name });
+        }
+    }
+
+    for (const [stateCode, { counties, places }] of Object.entries(gazetteer.states)) {
+        for (const [city, latitude, longitude, countyIndex, timezoneIndex] of places) {
+            const county = counties[countyIndex] || null;
+            const metro = county ? metroByCounty.get(`${stateCode}|${normalizePlaceName(county)}`) : null;
+            geoState.places.set(`${stateCode}|${normalizePlaceName(city)}`, {
+                latitude,
+                longitude,
+                county,
+                metroArea: metro?.name ?? null,
+                locationMetroCode: metro?.code ?? null,
+                timezone: gazetteer.timezones[timezoneIndex] || null,
+            });
+        }
+    }
+
+    log.debug('Gazetteer loaded', { places: geoState.places.size, metroAreas: metroAreas.length });
+}
+
+export function lookupPlace(city, stateCode) {
+    if (!city || !stateCode) return null;
+    return geoState.places.get(`${String(stateCode).toUpperCase()}|${normalizePlaceName(city)}`) || null;
+}
+
+/**
+ * Geo fields for a normalized record. Only US locations are in the gazetteer. Remote jobs are tagged
+ * `geoScope: "unbounded"` and keep coordinates when their listing still names a city.
+ */
+export function getGeoFields({ city, stateCode, countryCode, isRemote }) {
+    const isUs = !countryCode || String(countryCode).toUpperCase() === 'US';
+    const place = isUs ? lookupPlace(city, stateCode) : null;
+
+    let geoScope = 'unknown';
+    if (isRemote) geoScope = 'unbounded';
+    else if (place) geoScope = 'local';
+
+    return {
+        latitude: place?.latitude ?? null,
+        longitude: place?.longitude ?? null,
+        county: place?.county ?? null,
+        metroArea: place?.metroArea ?? null,
+        locationMetroCode: place?.locationMetroCode ?? null,
+        timezone: place?.timezone ?? null,
+        geoScope,
+    };
+}
+
+function toRadians(degrees) {
+    return (degrees * Math.PI) / 180;
+}
+
+function distanceInMiles(from, to) {
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a =
+        Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+function resolveNearLocation(entry, path) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        throw new Error(`${path} must be an object like { "place": "Austin, TX", "radiusMiles": 25 }.`);
+    }
+
+    const radiusMiles = Number(entry.radiusMiles);
+    if (!Number.isFinite(radiusMiles) || radiusMiles < 1 || radiusMiles > MAX_RADIUS_MILES) {
+        throw new Error(`${path}.radiusMiles must be a number of miles between 1 and ${MAX_RADIUS_MILES}.`);
+    }
+
+    if (entry.latitude !== undefined || entry.longitude !== undefined) {
+        const latitude = Number(entry.latitude);
+        const longitude = Number(entry.longitude);
+        if (
+            !Number.isFinite(latitude) ||
+            Math.abs(latitude) > 90 ||
+            !Number.isFinite(longitude) ||
+            Math.abs(longitude) > 180
+        ) {
+            throw new Error(`${path} has invalid latitude/longitude.`);
+        }
+        return {
+            label:
+                typeof entry.place === 'string' && entry.place.trim() ? entry.place.trim() : `${latitude},${longitude}`,
+            latitude,
+            longitude,
+            radiusMiles,
+        };
+    }
+
+    const label = typeof entry.place === 'string' ? entry.place.trim() : '';
+    const match = label.match(/^(.+?),\s*([A-Za-z]{2})$/);
+    const place = match ? lookupPlace(match[1], match[2]) : null;
+    if (!place) {
+        throw new Error(
+            `${path}.place "${label}" was not found. Use a US "City, ST" place such as "Austin, TX", or give latitude and longitude.`,
+        );
+    }
+    return { label, latitude: place.latitude, longitude: place.longitude, radiusMiles };
+}
+
+export function configureNearLocations(nearLocations) {
+    if (nearLocations === undefined || nearLocations === null) return 0;
+    if (!Array.isArray(nearLocations))
+        throw new Error('nearLocations must be an array of { place, radiusMiles } objects.');
+
+    geoState.nearLocations = nearLocations.map((entry, index) => resolveNearLocation(entry, `nearLocations[${index}]`));
+    return geoState.nearLocations.length;
+}
+
+/**
+ * Keeps records within `radiusMiles` of any configured place and adds the closest one as
+ * `nearLocation`/`distanceMiles`. Remote jobs always pass; records without coordinates are dropped.
+ */
+export function applyNearLocations(records) {
+    if (!geoState.nearLocations.length) return records;
+
+    const { counts } = geoState;
+    const kept = [];
+    for (const record of records) {
+        let nearest = null;
+        if (record.latitude !== null && record.latitude !== undefined) {
+            for (const location of geoState.nearLocations) {
+                const distance = distanceInMiles(record, location);
+                if (distance <= location.radiusMiles && (!nearest || distance < nearest.distance))
+                    nearest = { location, distance };
+            }
+        }
+
+        if (nearest) {
+            counts.kept += 1;
+            kept.push({
+                ...record,
+                nearLocation: nearest.location.label,
+                distanceMiles: Math.round(nearest.distance * 10) / 10,
+            });
+        } else if (record.geoScope === 'unbounded') {
+            counts.remoteKept += 1;
+            kept.push({ ...record, nearLocation: null, distanceMiles: null });
+        } else if (record.latitude === null || record.latitude === undefined) {
+            counts.unlocated += 1;
+        } else {
+            counts.outsideRadius += 1;
+        }
+    }
+    return kept;
+}
+
+export function getNearLocationStats() {
+    return {
+        places: geoState.nearLocations.map(({ label, radiusMiles }) => ({ place: label, radiusMiles })),
+        ...geoState.counts,
+    };
+}
+
+export function getNearLocationSnapshot() {
+    return geoState.counts;
+}
+
+export function restoreNearLocationSnapshot(counts) {
+    if (counts) Object.assign(geoState.counts, counts);
+}
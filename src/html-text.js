@@ -0,0 +1,33 @@
+export function stripHtml(html) {
+    if (!html || typeof html !== 'string') return '';
+    const text = html
+        .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+        .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return decodeHtmlEntities(text);
+}
+
+export function decodeHtmlEntities(text) {
+    if (!text || typeof text !== 'string') return '';
+
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => {
+            const code = Number.parseInt(hex, 16);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : _;
+        })
+        .replace(/&#(\d+);/g, (_, num) => {
+            const code = Number.parseInt(num, 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : _;
+        })
+        .replace(/&nbsp;/gi, ' ')
+        .replace(/&quot;/gi, '"')
+        .replace(/&apos;|&#39;/gi, "'")
+        .replace(/&lt;/gi, '<')
+        .replace(/&gt;/gi, '>')
+        .replace(/&amp;/gi, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
@@ -0,0 +1,218 @@
+import { Actor, log } from 'apify';
+
+const STATE_KEY = 'SEEN_LISTINGS';
+const STATE_VERSION = 1;
+const RETENTION_DAYS = 90;
+
+// Fields incremental mode adds on top of normalized job records.
+export const INCREMENTAL_RECORD_FIELDS = [
+    'recordType',
+    'reopened',
+    'firstSeenAt',
+    'lastSeenAt',
+    'closedAt',
+    'closedReason',
+    'repostCount',
+];
+
+const incrementalState = {
+    enabled: false,
+    store: null,
+    storeName: '',
+    listings: {},
+    seenThisRun: new Set(),
+    // Listings changed since the last checkpoint journal entry.
+    unsavedKeys: new Set(),
+    counts: { new: 0, known: 0, reopened: 0, closed: 0 },
+};
+
+function getListingStateKey(record) {
+    return record?.listingKey || record?.url || '';
+}
+
+export async function loadIncrementalState(storeName) {
+    const store = await Actor.openKeyValueStore(storeName);
+    const saved = await store.getValue(STATE_KEY);
+    incrementalState.enabled = true;
+    incrementalState.store = store;
+    incrementalState.storeName = storeName;
+    incrementalState.listings =
+        saved?.version === STATE_VERSION && saved.listings && typeof saved.listings === 'object' ? saved.listings : {};
+
+    log.info(`Incremental state loaded from "${storeName}"`, {
+        knownListings: Object.keys(incrementalState.listings).length,
+        previousRunAt: saved?.updatedAt || null,
+    });
+}
+
+export function isIncrementalEnabled() {
+    return incrementalState.enabled;
+}
+
+export function getIncrementalCounts() {
+    return { ...incrementalState.counts };
+}
+
+export function isKnownOpenListing(listingKey) {
+    const entry = incrementalState.enabled ? incrementalState.listings[listingKey] : null;
+    return Boolean(entry && !entry.closedAt);
+}
+
+/**
+ * Counts the bumps seen for a listing: one when it is first seen already reposted, and one more each
+ * time a later run finds a different rolling posting date. Entries saved before this was tracked
+ * start from their current rolling date.
+ */
+function trackReposts(listingKey, record) {
+    const entry = incrementalState.listings[listingKey];
+    const rollingPostedAtUtc = record.rollingPostedAtUtc || '';
+    if (entry.repostCount === undefined) {
+        entry.repostCount = record.isRepost ? 1 : 0;
+    } else if (rollingPostedAtUtc && entry.rollingPostedAtUtc && rollingPostedAtUtc !== entry.rollingPostedAtUtc) {
+        entry.repostCount += 1;
+    }
+    if (rollingPostedAtUtc) entry.rollingPostedAtUtc = rollingPostedAtUtc;
+    return entry.repostCount;
+}
+
+function buildClosedRecord(entry, listingKey, closedReason, closedAt) {
+    return {
+        recordType: 'closed',
+        closedReason,
+        closedAt,
+        listingKey,
+        title: entry.title,
+        company: entry.company,
+        location: entry.location,
+        url: entry.url,
+        searchId: entry.searchIds.at(-1),
+        firstSeenAt: entry.firstSeenAt,
+        lastSeenAt: entry.lastSeenAt,
+        repostCount: entry.repostCount ?? 0,
+    };
+}
+
+/**
+ * Records a listing seen in this run and decides what to emit for it:
+ * `new` for first sightings (and reopened listings), `known` for listings that were already emitted,
+ * and `closed` when a previously emitted listing now reports `isActive: false`.
+ */
+export function trackIncrementalListing(record, searchId, now = new Date().toISOString()) {
+    const listingKey = getListingStateKey(record);
+    if (!listingKey) return { status: 'new', record };
+
+    incrementalState.seenThisRun.add(listingKey);
+    incrementalState.unsavedKeys.add(listingKey);
+    const entry = incrementalState.listings[listingKey];
+
+    if (!entry) {
+        if (record.isActive === false) return { status: 'known', record };
+
+        incrementalState.listings[listingKey] = {
+            firstSeenAt: now,
+            lastSeenAt: now,
+            searchIds: [searchId],
+            title: record.title,
+            company: record.company,
+            location: record.location,
+            url: record.url,
+        };
+        const repostCount = trackReposts(listingKey, record);
+        incrementalState.counts.new += 1;
+        return { status: 'new', record: { ...record, recordType: 'new', firstSeenAt: now, repostCount } };
+    }
+
+    entry.lastSeenAt = now;
+    if (!entry.searchIds.includes(searchId)) entry.searchIds.push(searchId);
+    const repostCount = trackReposts(listingKey, record);
+
+    if (record.isActive === false) {
+        if (entry.closedAt) return { status: 'known', record };
+        entry.closedAt = now;
+        incrementalState.counts.closed += 1;
+        return { status: 'closed', record: buildClosedRecord(entry, listingKey, 'inactive', now) };
+    }
+
+    if (entry.closedAt) {
+        delete entry.closedAt;
+        incrementalState.counts.reopened += 1;
+        return {
+            status: 'new',
+            record: { ...record, recordType: 'new', firstSeenAt: entry.firstSeenAt, reopened: true, repostCount },
+        };
+    }
+
+    incrementalState.counts.known += 1;
+    return { status: 'known', record };
+}
+
+/**
+ * The part of the state this run changed, small enough to go into every run checkpoint.
+ * Restoring it on top of the stored state brings a resumed run back to where it stopped.
+ */
+/**
+ * The listings changed since the previous call, for the run checkpoint journal. Returns null when
+ * nothing changed.
+ */
+export function takeIncrementalJournal() {
+    if (!incrementalState.unsavedKeys.size) return null;
+    const listings = {};
+    for (const listingKey of incrementalState.unsavedKeys) {
+        if (incrementalState.listings[listingKey]) listings[listingKey] = incrementalState.listings[listingKey];
+    }
+
+    const journal = {
+        seenThisRun: [...incrementalState.unsavedKeys].filter((listingKey) =>
+            incrementalState.seenThisRun.has(listingKey),
+        ),
+        listings,
+        counts: { ...incrementalState.counts },
+    };
+    incrementalState.unsavedKeys.clear();
+    return journal;
+}
+
+export function restoreIncrementalJournal(journal) {
+    if (!journal) return;
+    Object.assign(incrementalState.listings, journal.listings);
+    for (const listingKey of journal.seenThisRun) incrementalState.seenThisRun.add(listingKey);
+    Object.assign(incrementalState.counts, journal.counts);
+}
+
+/**
+ * Listings are only reported as disappeared when every search that previously found them ran to the
+ * last result page in this run, so a maxJobs or maxPages cut-off never produces false closures.
+ */
+export function collectDisappearedListings(exhaustedSearchIds, now = new Date().toISOString()) {
+    const closedRecords = [];
+
+    for (const [listingKey, entry] of Object.entries(incrementalState.listings)) {
+        if (entry.closedAt || incrementalState.seenThisRun.has(listingKey)) continue;
+        if (!entry.searchIds.length || !entry.searchIds.every((searchId) => exhaustedSearchIds.has(searchId))) continue;
+
+        entry.closedAt = now;
+        incrementalState.unsavedKeys.add(listingKey);
+        incrementalState.counts.closed += 1;
+        closedRecords.push(buildClosedRecord(entry, listingKey, 'not_found', now));
+    }
+
+    return closedRecords;
+}
+
+export async function saveIncrementalState() {
+    const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    for (const [listingKey, entry] of Object.entries(incrementalState.listings)) {
+        if (Date.parse(entry.lastSeenAt) < cutoff) delete incrementalState.listings[listingKey];
+    }
+
+    await incrementalState.store.setValue(STATE_KEY, {
+        version: STATE_VERSION,
+        updatedAt: new Date().toISOString(),
+        listings: incrementalState.listings,
+    });
+
+    log.info(`Incremental state saved to "${incrementalState.storeName}"`, {
+        knownListings: Object.keys(incrementalState.listings).length,
+        ...incrementalState.counts,
+    });
+}
@@ -0,0 +1,215 @@
+import { getCompanyMatchKey } from './company-normalization.js';
+import { matchesSalaryFilter } from './salary.js';
+
+// Record fields a rule can match text against. `company` also checks the canonical company name.
+const RULE_TEXT_FIELDS = ['title', 'company', 'description_text', 'location'];
+const FIELD_MATCHERS = ['include', 'exclude', 'includeRegex', 'excludeRegex'];
+const RULE_KEYS = new Set([
+    'name',
+    ...RULE_TEXT_FIELDS,
+    'companyBlocklist',
+    'remoteOnly',
+    'salaryMin',
+    'salaryMax',
+    'requireSalary',
+    'all',
+    'any',
+]);
+
+const rulesState = {
+    rules: [],
+    counts: {
+        evaluated: 0,
+        rejected: 0,
+        rejectedByRule: {},
+    },
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function toStringList(value, path) {
+    if (value === undefined || value === null) return [];
+    const list = Array.isArray(value) ? value : [value];
+    if (list.some((item) => typeof item !== 'string'))
+        throw new Error(`${path} must be a string or an array of strings.`);
+    return list.map((item) => item.trim()).filter(Boolean);
+}
+
+// Keywords match whole words, so "sales" does not hit "wholesale"; a phrase matches as written.
+function compileKeywords(value, path) {
+    const keywords = toStringList(value, path);
+    if (!keywords.length) return null;
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${keywords.map(escapeRegex).join('|')})(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+function compileRegexList(value, path) {
+    const patterns = toStringList(value, path);
+    if (!patterns.length) return null;
+    return patterns.map((pattern) => {
+        try {
+            return new RegExp(pattern, 'i');
+        } catch (error) {
+            throw new Error(`${path} has an invalid regex "${pattern}": ${error.message}`);
+        }
+    });
+}
+
+function compileFieldMatcher(value, path) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`${path} must be an object with include, exclude, includeRegex or excludeRegex.`);
+    }
+    const unknown = Object.keys(value).filter((key) => !FIELD_MATCHERS.includes(key));
+    if (unknown.length)
+        throw new Error(`${path} has unknown keys: ${unknown.join(', ')}. Use ${FIELD_MATCHERS.join(', ')}.`);
+
+    return {
+        include: compileKeywords(value.include, `${path}.include`),
+        exclude: compileKeywords(value.exclude, `${path}.exclude`),
+        includeRegex: compileRegexList(value.includeRegex, `${path}.includeRegex`),
+        excludeRegex: compileRegexList(value.excludeRegex, `${path}.excludeRegex`),
+    };
+}
+
+function readSalaryBound(value, path) {
+    if (value === undefined || value === null) return null;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) throw new Error(`${path} must be a positive annual amount.`);
+    return number;
+}
+
+function compileRule(rule, path) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw new Error(`${path} must be an object.`);
+    const unknown = Object.keys(rule).filter((key) => !RULE_KEYS.has(key));
+    if (unknown.length) throw new Error(`${path} has unknown keys: ${unknown.join(', ')}.`);
+
+    const compiled = {
+        fields: RULE_TEXT_FIELDS.filter((field) => rule[field] !== undefined).map((field) => ({
+            field,
+            matcher: compileFieldMatcher(rule[field], `${path}.${field}`),
+        })),
+        companyBlocklist: new Set(
+            toStringList(rule.companyBlocklist, `${path}.companyBlocklist`).map(getCompanyMatchKey),
+        ),
+        remoteOnly: rule.remoteOnly === true,
+        salary: {
+            minSalary: readSalaryBound(rule.salaryMin, `${path}.salaryMin`),
+            maxSalary: readSalaryBound(rule.salaryMax, `${path}.salaryMax`),
+            requireSalary: rule.requireSalary === true,
+        },
+        all: [],
+        any: [],
+    };
+    compiled.salaryActive =
+        compiled.salary.minSalary !== null || compiled.salary.maxSalary !== null || compiled.salary.requireSalary;
+    if (
+        compiled.salary.minSalary !== null &&
+        compiled.salary.maxSalary !== null &&
+        compiled.salary.minSalary > compiled.salary.maxSalary
+    ) {
+        throw new Error(`${path}.salaryMin is greater than salaryMax.`);
+    }
+
+    for (const group of ['all', 'any']) {
+        if (rule[group] === undefined) continue;
+        if (!Array.isArray(rule[group]) || !rule[group].length)
+            throw new Error(`${path}.${group} must be a non-empty array of rules.`);
+        compiled[group] = rule[group].map((child, index) => compileRule(child, `${path}.${group}[${index}]`));
+    }
+
+    const hasPredicate =
+        compiled.fields.length ||
+        compiled.companyBlocklist.size ||
+        compiled.remoteOnly ||
+        compiled.salaryActive ||
+        compiled.all.length ||
+        compiled.any.length;
+    if (!hasPredicate) throw new Error(`${path} has no conditions.`);
+
+    return compiled;
+}
+
+function getFieldText(record, field) {
+    if (field === 'company') return [record.company, record.companyCanonicalName].filter(Boolean).join(' ');
+    return String(record[field] || '');
+}
+
+function matchesField(text, { include, exclude, includeRegex, excludeRegex }) {
+    if (include && !include.test(text)) return false;
+    if (includeRegex && !includeRegex.some((regex) => regex.test(text))) return false;
+    if (exclude && exclude.test(text)) return false;
+    if (excludeRegex && excludeRegex.some((regex) => regex.test(text))) return false;
+    return true;
+}
+
+// A rule passes when all of its own conditions, every `all` child and at least one `any` child pass.
+function matchesRule(record, rule) {
+    for (const { field, matcher } of rule.fields) {
+        if (!matchesField(getFieldText(record, field), matcher)) return false;
+    }
+    if (rule.companyBlocklist.size) {
+        const names = [record.company, record.companyCanonicalName].map(getCompanyMatchKey);
+        if (names.some((name) => name && rule.companyBlocklist.has(name))) return false;
+    }
+    if (rule.remoteOnly && !record.isRemote) return false;
+    if (rule.salaryActive && !matchesSalaryFilter(record, rule.salary)) return false;
+    if (!rule.all.every((child) => matchesRule(record, child))) return false;
+    if (rule.any.length && !rule.any.some((child) => matchesRule(record, child))) return false;
+    return true;
+}
+
+/**
+ * Validates the `jobRules` input and keeps the compiled rules for `applyJobRules`. Returns the
+ * number of rules; unnamed rules are reported in statistics as `rule_<position>`.
+ */
+export function configureJobRules(rules) {
+    if (rules === undefined || rules === null) return 0;
+    if (!Array.isArray(rules)) throw new Error('jobRules must be an array of rule objects.');
+
+    const names = new Set();
+    rulesState.rules = rules.map((rule, index) => {
+        const path = `jobRules[${index}]`;
+        const compiled = compileRule(rule, path);
+        const name = typeof rule.name === 'string' && rule.name.trim() ? rule.name.trim() : `rule_${index + 1}`;
+        if (names.has(name)) throw new Error(`${path} repeats the rule name "${name}".`);
+        names.add(name);
+        return { ...compiled, name };
+    });
+    rulesState.counts.rejectedByRule = Object.fromEntries(rulesState.rules.map(({ name }) => [name, 0]));
+    return rulesState.rules.length;
+}
+
+/**
+ * Keeps the records that pass every rule. A rejected record is counted once, against the first
+ * rule it fails, so the per-rule counts add up to the total rejected.
+ */
+export function applyJobRules(records) {
+    if (!rulesState.rules.length) return records;
+
+    const { counts } = rulesState;
+    return records.filter((record) => {
+        counts.evaluated += 1;
+        const failed = rulesState.rules.find((rule) => !matchesRule(record, rule));
+        if (!failed) return true;
+        counts.rejected += 1;
+        counts.rejectedByRule[failed.name] = (counts.rejectedByRule[failed.name] || 0) + 1;
+        return false;
+    });
+}
+
+export function getJobRuleStats() {
+    return {
+        ...rulesState.counts,
+        kept: rulesState.counts.evaluated - rulesState.counts.rejected,
+    };
+}
+
+export function getJobRuleSnapshot() {
+    return rulesState.counts;
+}
+
+export function restoreJobRuleSnapshot(counts) {
+    if (!counts) return;
+    rulesState.counts.evaluated = counts.evaluated;
+    rulesState.counts.rejected = counts.rejected;
+    Object.assign(rulesState.counts.rejectedByRule, counts.rejectedByRule);
+}
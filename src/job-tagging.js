@@ -0,0 +1,166 @@
+import { readFile } from 'node:fs/promises';
+
+import { log } from 'apify';
+
+const BUNDLED_DICTIONARY_URL = new URL('./data/skills-dictionary.json', import.meta.url);
+
+const taggingState = {
+    skillMatchers: [],
+};
+
+const NUMBER_WORDS = {
+    one: 1,
+    two: 2,
+    three: 3,
+    four: 4,
+    five: 5,
+    six: 6,
+    seven: 7,
+    eight: 8,
+    nine: 9,
+    ten: 10,
+    twelve: 12,
+    fifteen: 15,
+};
+const YEARS_AMOUNT_SOURCE = String.raw`(\d{1,2}|${Object.keys(NUMBER_WORDS).join('|')})`;
+const YEARS_EXPERIENCE_REGEX = new RegExp(
+    String.raw`(?:(?:minimum|at\s+least)\s+(?:of\s+)?)?${YEARS_AMOUNT_SOURCE}\s*(?:\+|plus)?\s*(?:(?:-|–|to)\s*\d{1,2}\s*)?(?:\+\s*)?` +
+        String.raw`(?:years?|yrs?)\b(?:\s*\+)?(?=[^.;\n]{0,60}\bexperience\b)`,
+    'gi',
+);
+const MAX_YEARS_EXPERIENCE = 30;
+
+// Ordered from lowest to highest; the lowest level a posting mentions is treated as the requirement.
+const EDUCATION_LEVELS = [
+    ['High School', /\b(high\s+school|GED|secondary\s+school)\b/i],
+    [
+        'Associate',
+        /\b(associate'?s?\s+degree|associate\s+of\s+(arts|science)|A\.A\.S?\.?|two[\s-]year\s+degree)(?=\W|$)/i,
+    ],
+    [
+        'Bachelor',
+        /\b(bachelor'?s?|B\.[AS]\.|BA\/BS|BS\/BA|undergraduate\s+degree|four[\s-]year\s+degree|4[\s-]year\s+degree|college\s+degree)(?=\W|$)/i,
+    ],
+    ['Master', /\b(master'?s?(\s+degree)?|MBA|M\.[AS]\.|MS\s+(in|degree)|graduate\s+degree)(?=\W|$)/i],
+    ['Doctorate', /\b(Ph\.?D|doctorate|doctoral\s+degree)(?=\W|$)/i],
+];
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Word boundaries that also work for terms such as "C++", "C#", ".NET" and "Node.js".
+function buildTermRegex(term, caseSensitive) {
+    return new RegExp(String.raw`(?<![\w+#.])${escapeRegex(term)}(?![\w+#]|\.\w)`, caseSensitive ? '' : 'i');
+}
+
+/**
+ * Accepts `{ name, category?, aliases?, caseSensitive?, matchName? }` entries or plain strings.
+ * Entries with the category "certification" are reported in `certifications`, everything else in `skills`.
+ */
+function normalizeDictionaryEntry(entry, index) {
+    const value = typeof entry === 'string' ? { name: entry } : entry;
+    const name = typeof value?.name === 'string' ? value.name.trim() : '';
+    if (!name) {
+        throw new Error(
+            `Invalid skills dictionary entry at index ${index}: expected a string or an object with a "name".`,
+        );
+    }
+
+    if (
+        value.aliases !== undefined &&
+        (!Array.isArray(value.aliases) || value.aliases.some((alias) => typeof alias !== 'string'))
+    ) {
+        throw new Error(`Invalid skills dictionary entry "${name}": "aliases" must be an array of strings.`);
+    }
+
+    const aliases = (value.aliases || []).map((alias) => alias.trim()).filter(Boolean);
+    const terms = value.matchName === false ? aliases : [name, ...aliases];
+
+    return {
+        name,
+        isCertification: String(value.category || '').toLowerCase() === 'certification',
+        patterns: terms.map((term) => buildTermRegex(term, value.caseSensitive === true)),
+    };
+}
+
+/**
+ * Loads the bundled dictionary and merges the user's entries over it.
+ * A custom entry with the same name as a bundled one replaces it, so aliases can be extended or narrowed.
+ */
+export async function loadSkillsDictionary(customEntries = []) {
+    if (!Array.isArray(customEntries)) {
+        throw new Error('customSkillsDictionary must be an array of strings or { name, aliases } objects.');
+    }
+
+    const bundled = JSON.parse(await readFile(BUNDLED_DICTIONARY_URL, 'utf8'));
+    const entriesByName = new Map();
+    bundled.forEach((entry, index) => {
+        const normalized = normalizeDictionaryEntry(entry, index);
+        entriesByName.set(normalized.name.toLowerCase(), normalized);
+    });
+    customEntries.forEach((entry, index) => {
+        const normalized = normalizeDictionaryEntry(entry, index);
+        entriesByName.set(normalized.name.toLowerCase(), normalized);
+    });
+
+    taggingState.skillMatchers = [...entriesByName.values()].filter((entry) => entry.patterns.length);
+    log.info('Skills dictionary loaded', {
+        entries: taggingState.skillMatchers.length,
+        customEntries: customEntries.length,
+    });
+}
+
+function parseYears(value) {
+    const lower = value.toLowerCase();
+    return NUMBER_WORDS[lower] ?? Number(lower);
+}
+
+/**
+ * Years are only counted when "experience" follows within the same sentence, which keeps
+ * "401k after 1 year" or "founded 20 years ago" out. The highest lower bound wins, since a posting
+ * asking for "5+ years of Python and 2+ years of AWS" needs five years overall.
+ */
+export function extractMinYearsExperience(text) {
+    if (!text) return null;
+
+    let minYears = null;
+    for (const match of text.matchAll(YEARS_EXPERIENCE_REGEX)) {
+        const years = parseYears(match[1]);
+        if (!Number.isFinite(years) || years <= 0 || years > MAX_YEARS_EXPERIENCE) continue;
+        minYears = minYears === null ? years : Math.max(minYears, years);
+    }
+
+    return minYears;
+}
+
+export function extractEducationLevel(text) {
+    if (!text) return null;
+    const match = EDUCATION_LEVELS.find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : null;
+}
+
+/**
+ * Tags a job with dictionary skills and certifications found in the title and description,
+ * plus the experience and education requirements. Requirement bullets are preferred for years
+ * and education when the description has a requirements section.
+ */
+export function tagJobText({ title = '', descriptionText = '', requirements = [] }) {
+    const fullText = `${title}\n${descriptionText}`;
+    const skills = [];
+    const certifications = [];
+
+    for (const entry of taggingState.skillMatchers) {
+        if (!entry.patterns.some((pattern) => pattern.test(fullText))) continue;
+        (entry.isCertification ? certifications : skills).push(entry.name);
+    }
+
+    const requirementsText = requirements.join('\n');
+
+    return {
+        skills,
+        certifications,
+        minYearsExperience: extractMinYearsExperience(requirementsText) ?? extractMinYearsExperience(descriptionText),
+        educationLevel: extractEducationLevel(requirementsText) || extractEducationLevel(descriptionText),
+    };
+}
@@ -0,0 +1,215 @@
+import { createHash } from 'node:crypto';
+
+import { Actor, log } from 'apify';
+
+const STATE_KEY = 'LISTING_HISTORY';
+const STATE_VERSION = 1;
+const CHANGES_KEY = 'CHANGES';
+const RETENTION_DAYS = 90;
+const MAX_VERSIONS = 10;
+
+// Fields change tracking adds to job records. firstSeenAt and changedFields share their meaning with
+// incremental and recheck mode.
+export const HISTORY_RECORD_FIELDS = ['firstSeenAt', 'lastChangedAt', 'version', 'changedFields'];
+
+// The fields kept in each version snapshot. A change to any other field does not start a new version.
+const TRACKED_FIELDS = [
+    'title',
+    'company',
+    'location',
+    'isRemote',
+    'jobType',
+    'salaryMin',
+    'salaryMax',
+    'salaryInterval',
+    'salaryCurrency',
+    'externalApplyUrl',
+    'applyDestination',
+];
+
+// Pay read from the description depends on whether the job was enriched with details in that run, so
+// only pay ZipRecruiter provided itself is compared between versions.
+const SALARY_FIELDS = new Set(['salaryMin', 'salaryMax', 'salaryInterval', 'salaryCurrency']);
+
+const historyState = {
+    store: null,
+    storeName: '',
+    previousRunAt: null,
+    listings: {},
+    seenThisRun: new Set(),
+    // Listings changed, and the number of changes, since the last checkpoint journal entry.
+    unsavedKeys: new Set(),
+    savedChangeCount: 0,
+    changes: [],
+    counts: { new: 0, changed: 0, unchanged: 0 },
+};
+
+function getListingStateKey(record) {
+    return record?.listingKey || record?.url || '';
+}
+
+function toSnapshotValue(value) {
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'string') return value.trim();
+    return value ?? null;
+}
+
+function buildSnapshot(record) {
+    const hasStructuredSalary = record.salarySource === 'structured';
+    return Object.fromEntries(
+        TRACKED_FIELDS.map((field) => [
+            field,
+            SALARY_FIELDS.has(field) && !hasStructuredSalary ? null : toSnapshotValue(record[field]),
+        ]),
+    );
+}
+
+function hashSnapshot(snapshot) {
+    return createHash('sha256')
+        .update(JSON.stringify(TRACKED_FIELDS.map((field) => snapshot[field])))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+export async function loadListingHistory(storeName) {
+    const store = await Actor.openKeyValueStore(storeName);
+    const saved = await store.getValue(STATE_KEY);
+    historyState.store = store;
+    historyState.storeName = storeName;
+    historyState.previousRunAt = saved?.updatedAt || null;
+    historyState.listings =
+        saved?.version === STATE_VERSION && saved.listings && typeof saved.listings === 'object' ? saved.listings : {};
+
+    log.info(`Listing history loaded from "${storeName}"`, {
+        knownListings: Object.keys(historyState.listings).length,
+        previousRunAt: historyState.previousRunAt,
+    });
+}
+
+export function getListingHistoryCounts() {
+    return { ...historyState.counts };
+}
+
+/**
+ * Compares a record with the last stored version of its listing and returns it with `firstSeenAt`,
+ * `lastChangedAt`, `version` and `changedFields`. A new version is stored only when the content hash
+ * differs; `changedFields` is empty for first sightings and unchanged listings.
+ */
+export function trackListingVersion(record, now = new Date().toISOString()) {
+    const listingKey = getListingStateKey(record);
+    if (!listingKey) return { ...record, version: null, changedFields: [] };
+
+    historyState.seenThisRun.add(listingKey);
+    historyState.unsavedKeys.add(listingKey);
+    const snapshot = buildSnapshot(record);
+    const hash = hashSnapshot(snapshot);
+    const entry = historyState.listings[listingKey];
+
+    if (!entry) {
+        historyState.listings[listingKey] = {
+            firstSeenAt: now,
+            lastSeenAt: now,
+            lastChangedAt: now,
+            version: 1,
+            hash,
+            versions: [{ version: 1, hash, seenAt: now, snapshot }],
+        };
+        historyState.counts.new += 1;
+        return { ...record, firstSeenAt: now, lastChangedAt: now, version: 1, changedFields: [] };
+    }
+
+    entry.lastSeenAt = now;
+    if (entry.hash === hash) {
+        historyState.counts.unchanged += 1;
+        return {
+            ...record,
+            firstSeenAt: entry.firstSeenAt,
+            lastChangedAt: entry.lastChangedAt,
+            version: entry.version,
+            changedFields: [],
+        };
+    }
+
+    const previous = entry.versions.at(-1).snapshot;
+    const changedFields = TRACKED_FIELDS.filter((field) => previous[field] !== snapshot[field]);
+    entry.version += 1;
+    entry.hash = hash;
+    entry.lastChangedAt = now;
+    entry.versions = [...entry.versions, { version: entry.version, hash, seenAt: now, snapshot }].slice(-MAX_VERSIONS);
+
+    historyState.counts.changed += 1;
+    historyState.changes.push({
+        listingKey,
+        title: record.title,
+        company: record.company,
+        url: record.url,
+        version: entry.version,
+        changedAt: now,
+        changedFields,
+        changes: Object.fromEntries(
+            changedFields.map((field) => [field, { from: previous[field], to: snapshot[field] }]),
+        ),
+    });
+
+    return { ...record, firstSeenAt: entry.firstSeenAt, lastChangedAt: now, version: entry.version, changedFields };
+}
+
+/**
+ * The listings touched and the changes found since the previous call, for the run checkpoint journal.
+ * Returns null when nothing happened.
+ */
+export function takeListingHistoryJournal() {
+    if (!historyState.unsavedKeys.size) return null;
+    const listings = {};
+    for (const listingKey of historyState.unsavedKeys) {
+        if (historyState.listings[listingKey]) listings[listingKey] = historyState.listings[listingKey];
+    }
+
+    const journal = {
+        seenThisRun: [...historyState.unsavedKeys],
+        listings,
+        changes: historyState.changes.slice(historyState.savedChangeCount),
+        counts: { ...historyState.counts },
+    };
+    historyState.unsavedKeys.clear();
+    historyState.savedChangeCount = historyState.changes.length;
+    return journal;
+}
+
+export function restoreListingHistoryJournal(journal) {
+    if (!journal) return;
+    Object.assign(historyState.listings, journal.listings);
+    for (const listingKey of journal.seenThisRun) historyState.seenThisRun.add(listingKey);
+    historyState.changes.push(...journal.changes);
+    historyState.savedChangeCount = historyState.changes.length;
+    Object.assign(historyState.counts, journal.counts);
+}
+
+/**
+ * Saves the history store, dropping listings not seen for 90 days, and writes the CHANGES record with
+ * every listing whose tracked fields changed since the previous run.
+ */
+export async function saveListingHistory() {
+    const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    for (const [listingKey, entry] of Object.entries(historyState.listings)) {
+        if (Date.parse(entry.lastSeenAt) < cutoff) delete historyState.listings[listingKey];
+    }
+
+    await historyState.store.setValue(STATE_KEY, {
+        version: STATE_VERSION,
+        updatedAt: new Date().toISOString(),
+        listings: historyState.listings,
+    });
+
+    await Actor.setValue(CHANGES_KEY, {
+        generatedAt: new Date().toISOString(),
+        previousRunAt: historyState.previousRunAt,
+        totalChanged: historyState.changes.length,
+        changes: historyState.changes,
+    });
+
+    log.info(`Listing history saved to "${historyState.storeName}"`, {
+        knownListings: Object.keys(historyState.listings).length,
+        ...historyState.counts,
+    });
+}
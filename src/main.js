@@ -3,7 +3,97 @@ import { readFile } from 'node:fs/promises';
 import { PlaywrightCrawler } from '@crawlee/playwright';
 import { Actor, log } from 'apify';
 import { launchOptions as camoufoxLaunchOptions } from 'camoufox-js';
+import { gotScraping } from 'got-scraping';
 import { firefox } from 'playwright';
+import { CookieJar } from 'tough-cookie';
+
+import { enableCheckpoints, loadCheckpoint, saveCheckpoint } from './checkpoint.js';
+import {
+    getCompanyCount,
+    restoreCompanyJournal,
+    saveCompanyAggregates,
+    takeCompanyJournal,
+    trackCompanyRecords,
+} from './company-aggregates.js';
+import { classifyStaffingAgency, loadStaffingAgencies, normalizeCompanyName } from './company-normalization.js';
+import { captureFailedDetails, captureFailedPage, getCaptureCount, restoreCaptureIndex } from './debug-capture.js';
+import { extractDescriptionSections, SECTION_FIELDS } from './description-sections.js';
+import {
+    configureDetailLimiter,
+    getDetailLimiterSnapshot,
+    getDetailLimiterStats,
+    isDetailCircuitOpen,
+    restoreDetailLimiterSnapshot,
+    runLimitedDetailCalls,
+} from './detail-limiter.js';
+import { normalizeDetailPriority, selectDetailCandidates } from './detail-priority.js';
+import { normalizeExportFormats, writeExports } from './exports.js';
+import { buildFieldProjection, buildFieldRestore } from './field-projection.js';
+import { getPostingFreshness, getSearchMaxAgeDays, isWithinMaxAge } from './freshness.js';
+import {
+    applyNearLocations,
+    configureNearLocations,
+    getGeoFields,
+    getNearLocationSnapshot,
+    getNearLocationStats,
+    loadGazetteer,
+    NEAR_LOCATION_RECORD_FIELDS,
+    restoreNearLocationSnapshot,
+} from './geo-enrichment.js';
+import { stripHtml } from './html-text.js';
+import {
+    collectDisappearedListings,
+    getIncrementalCounts,
+    INCREMENTAL_RECORD_FIELDS,
+    isIncrementalEnabled,
+    isKnownOpenListing,
+    loadIncrementalState,
+    restoreIncrementalJournal,
+    saveIncrementalState,
+    takeIncrementalJournal,
+    trackIncrementalListing,
+} from './incremental.js';
+import { applyJobRules, configureJobRules, getJobRuleSnapshot, getJobRuleStats, restoreJobRuleSnapshot } from './job-rules.js';
+import { loadSkillsDictionary, tagJobText } from './job-tagging.js';
+import {
+    getListingHistoryCounts,
+    HISTORY_RECORD_FIELDS,
+    loadListingHistory,
+    restoreListingHistoryJournal,
+    saveListingHistory,
+    takeListingHistoryJournal,
+    trackListingVersion,
+} from './listing-history.js';
+import {
+    getMarketReportRowCount,
+    restoreMarketReportJournal,
+    saveMarketReport,
+    takeMarketReportJournal,
+    trackMarketRecords,
+} from './market-report.js';
+import {
+    applyNearDuplicates,
+    configureNearDuplicates,
+    getNearDuplicateSnapshot,
+    getNearDuplicateStats,
+    NEAR_DUPLICATE_RECORD_FIELDS,
+    restoreNearDuplicateJournal,
+    restoreNearDuplicateSnapshot,
+    takeNearDuplicateJournal,
+} from './near-duplicates.js';
+import { normalizeOutputShape, toNestedRecord } from './output-shape.js';
+import { openRawPageReader, openRawPageWriter } from './raw-pages.js';
+import {
+    buildSnapshotRecheckRecord,
+    diffAgainstSnapshot,
+    extractJobPostingDetails,
+    fillUnavailableFields,
+    isClosedJobPage,
+    loadRecheckTargets,
+    RECHECK_RECORD_FIELDS,
+} from './recheck.js';
+import { computeSalaryEquivalents, extractSalaryFromText, matchesSalaryFilter } from './salary.js';
+import { applySearchFilters, normalizeSearchFilters } from './search-filters.js';
 
 await Actor.init();
 
@@ -17,7 +107,11 @@ const CONFIG = {
     DETAIL_RETRIES: 2,
     MAX_EMPTY_PAGES: 3,
     SEARCH_FETCH_TIMEOUT_MS: 45000,
-    DETAIL_ENRICHMENT_LIMIT: 60,
+    DEFAULT_DETAIL_BUDGET: 60,
+    DEFAULT_INCREMENTAL_STORE: 'ziprecruiter-incremental-state',
+    DEFAULT_CHANGE_HISTORY_STORE: 'ziprecruiter-listing-history',
+    DEFAULT_RAW_PAGES_STORE: 'ziprecruiter-raw-pages',
+    DEBUG_BODY_MAX_CHARS: 4000,
 };
 
 const stats = {
@@ -28,6 +122,12 @@ const stats = {
     emptyApiPages: 0,
     detailCalls: 0,
     detailFailures: 0,
+    detailSkipped: 0,
+    httpRequests: 0,
+    browserEscalations: 0,
+    salaryFiltered: 0,
+    staffingAgencyFiltered: 0,
+    daysBackFiltered: 0,
     totalPageMs: 0,
     slowPages: 0,
     startTime: Date.now(),
@@ -46,8 +146,16 @@ const NULLABLE_NUMBER_FIELDS = [
     'salaryMax',
     'salaryMinAnnual',
     'salaryMaxAnnual',
+    'salaryAnnualMin',
+    'salaryAnnualMax',
+    'salaryHourlyMin',
+    'salaryHourlyMax',
+    'minYearsExperience',
 ];
 
+// Array fields that stay arrays in the dataset instead of being joined into a comma-separated string.
+const LIST_FIELDS = new Set([...SECTION_FIELDS, 'skills', 'certifications', 'changedFields']);
+
 const safeJsonParse = (value, fallback = null) => {
     try {
         return JSON.parse(value);
@@ -57,6 +165,10 @@ const safeJsonParse = (value, fallback = null) => {
 };
 
 const INPUT_KEYS = ['searchUrl', 'searchQuery', 'location', 'maxJobs', 'maxPages', 'daysBack', 'proxyConfiguration'];
+const RUN_MODES = ['search', 'replay', 'recheck'];
+const FETCH_MODES = ['browser', 'http', 'auto'];
+const SINGLE_SEARCH_KEYS = ['searchUrl', 'searchQuery', 'location'];
+const BATCH_SEARCH_KEYS = ['searchQueries', 'locations', 'startUrls'];
 
 function hasValue(value) {
     if (value === null || value === undefined) return false;
@@ -91,6 +203,7 @@ async function resolveInputWithFallbacks() {
     const userProvidedAny = Object.values(runtimeInput).some((value) => hasValue(value));
     const runtimeHasSearchFilters = hasValue(runtimeInput.searchQuery) || hasValue(runtimeInput.location);
     const runtimeHasSearchUrl = hasValue(runtimeInput.searchUrl);
+    const runtimeHasBatchSearches = BATCH_SEARCH_KEYS.some((key) => hasValue(runtimeInput[key]));
     const resolvedInput = { ...runtimeInput };
     const fallbackSources = {};
 
@@ -100,6 +213,12 @@ async function resolveInputWithFallbacks() {
         // If user explicitly provided query/location, never backfill searchUrl from schema/INPUT.
         if (key === 'searchUrl' && runtimeHasSearchFilters && !runtimeHasSearchUrl) continue;
 
+        // Likewise a user searchUrl must not be refined by prefilled query/location values.
+        if ((key === 'searchQuery' || key === 'location') && runtimeHasSearchUrl) continue;
+
+        // Batch inputs define the searches on their own, so single-search prefills must not join the matrix.
+        if (runtimeHasBatchSearches && SINGLE_SEARCH_KEYS.includes(key)) continue;
+
         const schemaFallback = getSchemaFallback(schema, key);
         if (hasValue(schemaFallback)) {
             resolvedInput[key] = schemaFallback;
@@ -325,40 +444,6 @@ function normalizeUrl(value) {
     }
 }
 
-function stripHtml(html) {
-    if (!html || typeof html !== 'string') return '';
-    const text = html
-        .replace(/<style[\s\S]*?<\/style>/gi, ' ')
-        .replace(/<script[\s\S]*?<\/script>/gi, ' ')
-        .replace(/<[^>]+>/g, ' ')
-        .replace(/\s+/g, ' ')
-        .trim();
-
-    return decodeHtmlEntities(text);
-}
-
-function decodeHtmlEntities(text) {
-    if (!text || typeof text !== 'string') return '';
-
-    return text
-        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => {
-            const code = Number.parseInt(hex, 16);
-            return Number.isFinite(code) ? String.fromCodePoint(code) : _;
-        })
-        .replace(/&#(\d+);/g, (_, num) => {
-            const code = Number.parseInt(num, 10);
-            return Number.isFinite(code) ? String.fromCodePoint(code) : _;
-        })
-        .replace(/&nbsp;/gi, ' ')
-        .replace(/&quot;/gi, '"')
-        .replace(/&apos;|&#39;/gi, "'")
-        .replace(/&lt;/gi, '<')
-        .replace(/&gt;/gi, '>')
-        .replace(/&amp;/gi, '&')
-        .replace(/\s+/g, ' ')
-        .trim();
-}
-
 const DESCRIPTION_ALLOWED_TAGS = new Set(['p', 'br', 'strong', 'em', 'ul', 'ol', 'li']);
 
 function sanitizeDescriptionHtml(html) {
@@ -466,6 +551,94 @@ function normalizeInputString(value) {
     return value.trim();
 }
 
+function normalizeInputList(values) {
+    const unique = new Map();
+    for (const value of asArray(values)) {
+        const normalized = normalizeInputString(value && typeof value === 'object' ? value.url : value);
+        if (normalized && !unique.has(normalized.toLowerCase())) {
+            unique.set(normalized.toLowerCase(), normalized);
+        }
+    }
+    return [...unique.values()];
+}
+
+function slugifySearchPart(value) {
+    return normalizeInputString(value)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+function buildSearchId(searchQuery, location, usedIds, prefix = '') {
+    const baseId = `${prefix}${slugifySearchPart(searchQuery) || 'any'}--${slugifySearchPart(location) || 'anywhere'}`;
+    let searchId = baseId;
+    for (let suffix = 2; usedIds.has(searchId); suffix += 1) {
+        searchId = `${baseId}-${suffix}`;
+    }
+    usedIds.add(searchId);
+    return searchId;
+}
+
+function buildSearchMatrix(input) {
+    const searchQueries = normalizeInputList([input.searchQuery, ...asArray(input.searchQueries)]);
+    const locations = normalizeInputList([input.location, ...asArray(input.locations)]);
+    const startUrls = normalizeInputList(input.startUrls);
+    const rawSearchUrl = normalizeInputString(input.searchUrl);
+    const filters = normalizeSearchFilters(input);
+
+    // A lone searchUrl runs as its own search. Next to a query or location it is the base URL that
+    // every query/location combination refines, so its other parameters are kept.
+    let baseSearchUrl = '';
+    if (rawSearchUrl && !searchQueries.length && !locations.length) {
+        if (!startUrls.includes(rawSearchUrl)) startUrls.unshift(rawSearchUrl);
+    } else if (rawSearchUrl) {
+        baseSearchUrl = normalizeUrl(rawSearchUrl);
+        if (!baseSearchUrl) {
+            throw new Error(`Invalid searchUrl: ${rawSearchUrl}`);
+        }
+    }
+    const baseParams = baseSearchUrl ? new URL(baseSearchUrl).searchParams : new URLSearchParams();
+
+    const usedIds = new Set();
+    const searches = [];
+
+    for (const startUrl of startUrls) {
+        const searchUrl = normalizeUrl(startUrl);
+        if (!searchUrl) {
+            throw new Error(`Invalid start URL: ${startUrl}`);
+        }
+
+        const params = new URL(searchUrl).searchParams;
+        searches.push({
+            searchId: buildSearchId(params.get('search'), params.get('location'), usedIds, 'url-'),
+            searchUrl,
+            searchQuery: '',
+            location: '',
+            daysBack: input.daysBack,
+            filters,
+        });
+    }
+
+    const queryList = searchQueries.length ? searchQueries : [''];
+    const locationList = locations.length ? locations : [''];
+
+    for (const searchQuery of queryList) {
+        for (const location of locationList) {
+            if (!searchQuery && !location) continue;
+            searches.push({
+                searchId: buildSearchId(searchQuery || baseParams.get('search'), location || baseParams.get('location'), usedIds),
+                searchUrl: baseSearchUrl,
+                searchQuery,
+                location,
+                daysBack: input.daysBack,
+                filters,
+            });
+        }
+    }
+
+    return searches;
+}
+
 function recordPageTiming(pageNum, pageStartedAt) {
     const pageDurationMs = Date.now() - pageStartedAt;
     stats.totalPageMs += pageDurationMs;
@@ -476,9 +649,48 @@ function recordPageTiming(pageNum, pageStartedAt) {
     }
 }
 
-function sanitizeRecordForDataset(record) {
+function toPrimitiveItems(values) {
+    return [...new Set(values
+        .filter((item) => ['string', 'number', 'boolean'].includes(typeof item))
+        .map((item) => String(item).trim())
+        .filter((item) => item && !/^(null|undefined|n\/a)$/i.test(item)))];
+}
+
+function isEmptyDatasetValue(value) {
+    return value === null
+        || value === undefined
+        || value === ''
+        || (typeof value === 'string' && /^(null|undefined|n\/a)$/i.test(value.trim()));
+}
+
+// Nested shape: arrays stay arrays, objects are cleaned recursively and dropped once empty.
+function sanitizeNestedValue(value) {
+    if (Array.isArray(value)) {
+        const primitiveItems = toPrimitiveItems(value);
+        return primitiveItems.length ? primitiveItems : undefined;
+    }
+
+    if (value && typeof value === 'object') {
+        const entries = Object.entries(value)
+            .map(([key, item]) => [key, sanitizeNestedValue(item)])
+            .filter(([, item]) => item !== undefined);
+        return entries.length ? Object.fromEntries(entries) : undefined;
+    }
+
+    if (isEmptyDatasetValue(value)) return undefined;
+    return typeof value === 'string' ? value.trim() : value;
+}
+
+function sanitizeRecordForDataset(record, outputShape = 'flat') {
     if (!record || typeof record !== 'object') return null;
 
+    if (outputShape === 'nested') {
+        const nested = sanitizeNestedValue(toNestedRecord(record)) || null;
+        if (nested?.jobId && nested.jobId === nested.listingKey) delete nested.jobId;
+        if (nested?.postedDate && nested.postedDate === nested.postedAtUtc) delete nested.postedDate;
+        return nested;
+    }
+
     const sanitized = { ...record };
 
     for (const field of NULLABLE_NUMBER_FIELDS) {
@@ -493,13 +705,12 @@ function sanitizeRecordForDataset(record) {
 
     for (const [key, value] of Object.entries(sanitized)) {
         if (Array.isArray(value)) {
-            const primitiveItems = [...new Set(value
-                .filter((item) => ['string', 'number', 'boolean'].includes(typeof item))
-                .map((item) => String(item).trim())
-                .filter((item) => item && !/^(null|undefined|n\/a)$/i.test(item)))];
+            const primitiveItems = toPrimitiveItems(value);
 
             if (!primitiveItems.length) {
                 delete sanitized[key];
+            } else if (LIST_FIELDS.has(key)) {
+                sanitized[key] = primitiveItems;
             } else {
                 sanitized[key] = primitiveItems.join(', ');
             }
@@ -511,12 +722,7 @@ function sanitizeRecordForDataset(record) {
             continue;
         }
 
-        if (
-            value === null
-            || value === undefined
-            || value === ''
-            || (typeof value === 'string' && /^(null|undefined|n\/a)$/i.test(value.trim()))
-        ) {
+        if (isEmptyDatasetValue(value)) {
             delete sanitized[key];
             continue;
         }
@@ -545,27 +751,35 @@ function sanitizeRecordForDataset(record) {
     return sanitized;
 }
 
-async function pushRecordsSafely(records) {
-    if (!records.length) return 0;
-
-    const sanitizedRecords = records
-        .map((record) => sanitizeRecordForDataset(record))
-        .filter(Boolean);
+// Returns the records that reached the dataset, so callers can count and aggregate exactly those.
+async function pushRecordsSafely(records, { shape = 'flat', projectRecord = null } = {}) {
+    if (!records.length) return [];
+
+    // Flat records are sanitized under their original field names and renamed afterwards. The nested shape
+    // keeps arrays as arrays, so the projection can run first and leave the grouping to the shape.
+    const prepared = records
+        .map((record) => {
+            if (!projectRecord) return { record, item: sanitizeRecordForDataset(record, shape) };
+            if (shape === 'nested') return { record, item: sanitizeRecordForDataset(projectRecord(record), shape) };
+            const sanitized = sanitizeRecordForDataset(record, shape);
+            return { record, item: sanitized && projectRecord(sanitized) };
+        })
+        .filter(({ item }) => item);
 
-    if (!sanitizedRecords.length) return 0;
+    if (!prepared.length) return [];
 
     try {
-        await Actor.pushData(sanitizedRecords);
-        return sanitizedRecords.length;
+        await Actor.pushData(prepared.map(({ item }) => item));
+        return prepared.map(({ record }) => record);
     } catch (error) {
         log.warning(`Bulk push failed (${error.message}). Retrying item-by-item.`);
     }
 
-    let pushed = 0;
-    for (const record of sanitizedRecords) {
+    const pushed = [];
+    for (const { record, item } of prepared) {
         try {
-            await Actor.pushData(record);
-            pushed += 1;
+            await Actor.pushData(item);
+            pushed.push(record);
         } catch (error) {
             log.warning(`Skipping invalid record during push: ${error.message}`);
         }
@@ -574,24 +788,35 @@ async function pushRecordsSafely(records) {
     return pushed;
 }
 
-function buildSearchUrl(input, pageNum = 1) {
-    let baseUrl;
-
-    if (input.searchUrl?.trim()) {
-        baseUrl = input.searchUrl.trim();
-    } else {
-        const params = new URLSearchParams();
-        if (input.searchQuery?.trim()) params.append('search', input.searchQuery.trim());
-        if (input.location?.trim()) params.append('location', input.location.trim());
-        if (input.daysBack && input.daysBack !== 'any') params.append('days', input.daysBack);
-        baseUrl = `https://www.ziprecruiter.com/jobs-search?${params.toString()}`;
-    }
+/**
+ * Builds the URL of one results page. A search's own searchUrl is the base; its query, location,
+ * recency and filter inputs replace the matching parameters and leave the rest untouched.
+ */
+function buildSearchUrl(search, pageNum = 1) {
+    const url = new URL(search.searchUrl?.trim() || 'https://www.ziprecruiter.com/jobs-search');
+
+    if (search.searchQuery?.trim()) url.searchParams.set('search', search.searchQuery.trim());
+    if (search.location?.trim()) url.searchParams.set('location', search.location.trim());
+    if (search.daysBack && search.daysBack !== 'any') url.searchParams.set('days', search.daysBack);
+    if (search.filters) applySearchFilters(url, search.filters);
 
-    const url = new URL(baseUrl);
     url.searchParams.set('page', String(pageNum));
     return url.toString();
 }
 
+/**
+ * Why auto mode should hand a page to the browser: the request threw (timeout, connection error), the
+ * page is a challenge, or the server answered with an HTTP error such as 403 or 429. A page whose
+ * payload simply lists no jobs, such as a search without results, is not a block and stays on HTTP.
+ */
+function getHttpBlockReason({ fetchError, pagePayload, challengeDetected, status }) {
+    if (fetchError) return 'fetch_error';
+    if (pagePayload?.jobKeys.length) return null;
+    if (challengeDetected) return 'challenge';
+    if (status >= 400) return `http_${status}`;
+    return null;
+}
+
 function isChallengePage(html) {
     return /just a moment|cloudflare|verify you are human|challenge/i.test(html || '');
 }
@@ -600,9 +825,13 @@ async function fetchSearchPageHtml(page, pageUrl, fallbackResponse = null, optio
     const { allowNavigationFallback = true } = options;
     let html = '';
     let mode = 'initial-response';
+    let status = null;
+    let headers = {};
 
     if (fallbackResponse) {
         html = await fallbackResponse.text().catch(() => '');
+        status = fallbackResponse.status();
+        headers = fallbackResponse.headers();
     }
 
     if (!html) {
@@ -617,6 +846,8 @@ async function fetchSearchPageHtml(page, pageUrl, fallbackResponse = null, optio
 
         html = await apiResponse.text().catch(() => '');
         mode = 'context-request';
+        status = apiResponse.status();
+        headers = apiResponse.headers();
     }
 
     if ((!html || isChallengePage(html)) && allowNavigationFallback) {
@@ -626,13 +857,70 @@ async function fetchSearchPageHtml(page, pageUrl, fallbackResponse = null, optio
         });
         html = await navResponse?.text().catch(() => '');
         mode = 'navigation-fallback';
+        status = navResponse?.status() ?? null;
+        headers = navResponse?.headers() ?? {};
     }
 
     if (!html) {
         html = await page.content();
     }
 
-    return { html, mode };
+    return { html, mode, status, headers };
+}
+
+// Any search page works; recheck mode only needs its detail placement.
+const RECHECK_BOOTSTRAP_URL = 'https://www.ziprecruiter.com/jobs-search?search=jobs';
+
+const JOB_DETAILS_ENDPOINT_PATH = '/job_services.job_card.api_public.public.api.v1.API/GetJobDetails';
+
+function buildMissingPlacementResult(jobKeys) {
+    return {
+        detailsByListing: new Map(),
+        failed: jobKeys.length,
+        failures: jobKeys.map((jobKey) => ({
+            listingKey: jobKey.listingKey,
+            status: 0,
+            body: 'Search payload has no placementId/impressionLotId',
+        })),
+        skipped: 0,
+    };
+}
+
+/**
+ * Collects the outcome of a limited detail batch in the `{ detailsByListing, failed, failures }` shape the
+ * page loop expects. Calls skipped because the circuit opened are counted apart from real failures.
+ */
+function collectDetailResults(results) {
+    const detailsByListing = new Map();
+    const failures = [];
+    let skipped = 0;
+
+    for (const result of results) {
+        if (result.ok && result.jobDetails) {
+            detailsByListing.set(result.item.listingKey, result.jobDetails);
+        } else if (result.skipped) {
+            skipped += 1;
+        } else {
+            failures.push({
+                listingKey: result.item.listingKey,
+                status: result.status,
+                body: (result.body || '').slice(0, CONFIG.DEBUG_BODY_MAX_CHARS),
+            });
+        }
+    }
+
+    return { detailsByListing, failed: failures.length, failures, skipped };
+}
+
+function toDetailResult(status, body, retryAfter) {
+    const jobDetails = status >= 200 && status < 300 ? safeJsonParse(body, {})?.jobDetails || null : null;
+    return {
+        ok: Boolean(jobDetails),
+        status,
+        retryAfter,
+        jobDetails,
+        body: jobDetails ? '' : body,
+    };
 }
 
 async function fetchListingDetailsBatchViaApi(page, apiRequestContext, options) {
@@ -651,148 +939,359 @@ async function fetchListingDetailsBatchViaApi(page, apiRequestContext, options)
         }));
 
     if (!validJobKeys.length || !placementId || !impressionLotId) {
-        return { detailsByListing: new Map(), failed: validJobKeys.length };
+        return buildMissingPlacementResult(validJobKeys);
     }
 
-    const endpointPath = '/job_services.job_card.api_public.public.api.v1.API/GetJobDetails';
+    const endpointPath = JOB_DETAILS_ENDPOINT_PATH;
     const endpointUrl = `https://www.ziprecruiter.com${endpointPath}`;
 
-    const collected = await page.evaluate(async ({ keys, placementIdValue, impressionLotIdValue, maxConcurrency, endpoint }) => {
-        const results = [];
-        let cursor = 0;
-
-        async function worker() {
-            while (cursor < keys.length) {
-                const index = cursor;
-                cursor += 1;
-
-                const key = keys[index];
-                const payload = {
-                    jobKey: {
-                        listingKey: key.listingKey,
-                        matchId: key.matchId,
-                        bidTrackingData: key.bidTrackingData || '',
-                    },
-                    placementId: placementIdValue,
-                    impressionLotId: impressionLotIdValue,
-                };
+    const results = await runLimitedDetailCalls(validJobKeys, async (key, attempt) => {
+        const payload = {
+            jobKey: key,
+            placementId,
+            impressionLotId,
+        };
 
+        // First attempt runs inside the page so it carries the page's cookies and fingerprint.
+        if (attempt === 1) {
+            const response = await page.evaluate(async ({ endpoint, body }) => {
                 try {
-                    const response = await fetch(endpoint, {
+                    const res = await fetch(endpoint, {
                         method: 'POST',
                         headers: {
                             accept: 'application/json',
                             'content-type': 'application/json',
                         },
                         credentials: 'include',
-                        body: JSON.stringify(payload),
-                    });
-
-                    const json = await response.json().catch(() => ({}));
-                    results.push({
-                        listingKey: key.listingKey,
-                        ok: response.ok && Boolean(json?.jobDetails),
-                        status: response.status,
-                        jobDetails: json?.jobDetails || null,
-                    });
-                } catch {
-                    results.push({
-                        listingKey: key.listingKey,
-                        ok: false,
-                        status: 0,
-                        jobDetails: null,
+                        body: JSON.stringify(body),
                     });
+                    return {
+                        status: res.status,
+                        retryAfter: res.headers.get('retry-after'),
+                        text: await res.text().catch(() => ''),
+                    };
+                } catch (error) {
+                    return { status: 0, retryAfter: null, text: String(error?.message || error) };
                 }
-            }
+            }, { endpoint: endpointPath, body: payload });
+
+            return toDetailResult(response.status, response.text, response.retryAfter);
         }
 
-        await Promise.all(Array.from({ length: maxConcurrency }, () => worker()));
-        return results;
-    }, {
-        keys: validJobKeys,
-        placementIdValue: placementId,
-        impressionLotIdValue: impressionLotId,
-        maxConcurrency: Math.min(CONFIG.DETAIL_CONCURRENCY, validJobKeys.length),
-        endpoint: endpointPath,
+        // Auto-heal fallback for failed detail calls using BrowserContext API requests.
+        const response = await apiRequestContext.post(endpointUrl, {
+            data: payload,
+            failOnStatusCode: false,
+            timeout: CONFIG.SEARCH_FETCH_TIMEOUT_MS,
+            headers: {
+                accept: 'application/json',
+                'content-type': 'application/json',
+                referer: 'https://www.ziprecruiter.com/',
+            },
+        });
+
+        const body = await response.text().catch(() => '');
+        return toDetailResult(response.status(), body, response.headers()['retry-after']);
     });
 
-    const failedKeys = collected
-        .filter((item) => !item.ok)
-        .map((item) => validJobKeys.find((jobKey) => jobKey.listingKey === item.listingKey))
-        .filter(Boolean);
+    return collectDetailResults(results);
+}
 
-    // Auto-heal fallback for failed detail calls using BrowserContext API requests.
-    if (failedKeys.length > 0) {
-        for (const failedKey of failedKeys) {
-            let recovered = null;
-            let status = 0;
-
-            for (let attempt = 1; attempt <= CONFIG.DETAIL_RETRIES + 1; attempt += 1) {
-                const payload = {
-                    jobKey: {
-                        listingKey: failedKey.listingKey,
-                        matchId: failedKey.matchId,
-                        bidTrackingData: failedKey.bidTrackingData || '',
-                    },
-                    placementId,
-                    impressionLotId,
-                };
+const HTTP_HEADER_GENERATOR_OPTIONS = {
+    browsers: [{ name: 'firefox', minVersion: 120 }],
+    devices: ['desktop'],
+    locales: ['en-US'],
+    operatingSystems: ['windows'],
+};
 
-                try {
-                    const response = await apiRequestContext.post(endpointUrl, {
-                        data: payload,
-                        failOnStatusCode: false,
-                        timeout: CONFIG.SEARCH_FETCH_TIMEOUT_MS,
-                        headers: {
-                            accept: 'application/json',
-                            'content-type': 'application/json',
-                            referer: 'https://www.ziprecruiter.com/',
-                        },
-                    });
+async function fetchListingDetailsViaHttp(sendRequest, options) {
+    const {
+        jobKeys,
+        placementId,
+        impressionLotId,
+        referer,
+    } = options;
 
-                    status = response.status();
-                    if (status >= 200 && status < 300) {
-                        const json = await response.json().catch(() => ({}));
-                        if (json?.jobDetails) {
-                            recovered = json.jobDetails;
-                            break;
-                        }
-                    }
-                } catch {
-                    // Try next retry slot.
-                }
+    const validJobKeys = jobKeys.filter((jobKey) => jobKey?.listingKey && jobKey?.matchId);
+    if (!validJobKeys.length || !placementId || !impressionLotId) {
+        return buildMissingPlacementResult(validJobKeys);
+    }
 
-                if (attempt <= CONFIG.DETAIL_RETRIES) {
-                    await sleep(100 * attempt);
+    const results = await runLimitedDetailCalls(validJobKeys, async (jobKey) => {
+        const response = await sendRequest({
+            url: `https://www.ziprecruiter.com${JOB_DETAILS_ENDPOINT_PATH}`,
+            method: 'POST',
+            json: {
+                jobKey: {
+                    listingKey: jobKey.listingKey,
+                    matchId: jobKey.matchId,
+                    bidTrackingData: jobKey.bidTrackingData || '',
+                },
+                placementId,
+                impressionLotId,
+            },
+            headers: {
+                accept: 'application/json',
+                origin: 'https://www.ziprecruiter.com',
+                referer: referer || 'https://www.ziprecruiter.com/',
+            },
+        });
+
+        const body = typeof response.body === 'string' ? response.body : '';
+        return toDetailResult(response.statusCode, body, response.headers?.['retry-after']);
+    });
+
+    return collectDetailResults(results);
+}
+
+/**
+ * Page source backed by the Playwright page of the current crawler request.
+ * Keeps the Cloudflare clearance bookkeeping that decides when a real navigation is needed.
+ */
+function createBrowserPageSource(page, initialResponse = null) {
+    let pendingResponse = initialResponse;
+    let isFirstPage = true;
+    let challengeSolvedInSession = false;
+    let forceNavigationNextPage = false;
+
+    return {
+        name: 'browser',
+        escalateOnBlock: false,
+
+        async loadPage(pageUrl, { pageNum, searchId }) {
+            const firstPage = isFirstPage;
+            isFirstPage = false;
+
+            const pageHtmlResult = await fetchSearchPageHtml(
+                page,
+                pageUrl,
+                pendingResponse,
+                { allowNavigationFallback: firstPage || !challengeSolvedInSession || forceNavigationNextPage },
+            );
+            pendingResponse = null;
+
+            let pageHtml = pageHtmlResult.html;
+            let pageResponse = pageHtmlResult;
+            let pagePayload = extractSearchPayloadFromHtml(pageHtml);
+            let challengeDetected = isChallengePage(pageHtml);
+            let usedChallengeRetry = false;
+
+            if ((!pagePayload || !pagePayload.jobKeys.length) && challengeDetected) {
+                usedChallengeRetry = true;
+                stats.challengeRetries += 1;
+                log.warning(`[${searchId}] Challenge page detected on page ${pageNum}. Retrying after wait.`);
+
+                await page.waitForTimeout(CONFIG.CLOUDFLARE_WAIT_MS);
+                const retryResult = await fetchSearchPageHtml(
+                    page,
+                    pageUrl,
+                    null,
+                    { allowNavigationFallback: true },
+                );
+                const retryHtml = retryResult.html;
+
+                pagePayload = extractSearchPayloadFromHtml(retryHtml);
+                challengeDetected = isChallengePage(retryHtml);
+                pageHtml = retryHtml;
+                pageResponse = retryResult;
+            }
+
+            // Adaptive recovery: when API-context fetch gets challenged on later pages,
+            // refresh clearance using a real browser navigation and continue.
+            if ((!pagePayload || !pagePayload.jobKeys.length) && challengeDetected && !firstPage) {
+                forceNavigationNextPage = true;
+                log.warning(`[${searchId}] Challenge persisted on page ${pageNum}. Refreshing clearance via browser navigation.`);
+
+                const recoveryResult = await fetchSearchPageHtml(
+                    page,
+                    pageUrl,
+                    null,
+                    { allowNavigationFallback: true },
+                );
+
+                const recoveryHtml = recoveryResult.html;
+                const recoveryPayload = extractSearchPayloadFromHtml(recoveryHtml);
+                const recoveryChallenge = isChallengePage(recoveryHtml);
+
+                if (recoveryPayload?.jobKeys?.length && !recoveryChallenge) {
+                    pagePayload = recoveryPayload;
+                    pageHtml = recoveryHtml;
+                    pageResponse = recoveryResult;
+                    challengeDetected = false;
+                    challengeSolvedInSession = true;
+                    forceNavigationNextPage = false;
+                    await page.waitForTimeout(250);
                 }
+            } else if (!challengeDetected) {
+                forceNavigationNextPage = false;
             }
 
-            if (recovered) {
-                const index = collected.findIndex((item) => item.listingKey === failedKey.listingKey);
-                if (index >= 0) {
-                    collected[index] = {
-                        listingKey: failedKey.listingKey,
-                        ok: true,
-                        status,
-                        jobDetails: recovered,
-                    };
+            if (pagePayload?.jobKeys.length && Object.keys(pagePayload.jobKeysMap || {}).length) {
+                challengeSolvedInSession = true;
+                forceNavigationNextPage = false;
+            }
+
+            return {
+                html: pageHtml,
+                pagePayload,
+                challengeDetected,
+                usedChallengeRetry,
+                mode: pageResponse.mode,
+                status: pageResponse.status,
+                headers: pageResponse.headers,
+            };
+        },
+
+        fetchDetails: (options) => fetchListingDetailsBatchViaApi(page, page.context().request, options),
+        pause: (ms) => page.waitForTimeout(ms),
+        captureScreenshot: () => page.screenshot({ fullPage: true, type: 'png', timeout: 15000 }).catch(() => null),
+    };
+}
+
+/**
+ * Browserless page source: plain HTTP requests with generated Firefox headers, one cookie jar and
+ * one proxy session per search. A challenged page is retried once on a fresh session.
+ */
+async function createHttpPageSource(proxyConfiguration, { escalateOnBlock = false } = {}) {
+    let proxyUrl;
+    let cookieJar;
+    let sessionToken;
+    let referer = 'https://www.ziprecruiter.com/';
+
+    const rotateSession = async () => {
+        const sessionId = `http_${Math.random().toString(36).slice(2, 12)}`;
+        proxyUrl = proxyConfiguration ? await proxyConfiguration.newUrl(sessionId) : undefined;
+        cookieJar = new CookieJar();
+        sessionToken = {};
+    };
+
+    const sendRequest = (options) => gotScraping({
+        proxyUrl,
+        cookieJar,
+        sessionToken,
+        headerGeneratorOptions: HTTP_HEADER_GENERATOR_OPTIONS,
+        timeout: { request: CONFIG.SEARCH_FETCH_TIMEOUT_MS },
+        throwHttpErrors: false,
+        followRedirect: true,
+        ...options,
+    });
+
+    const fetchHtml = async (pageUrl) => {
+        const response = await sendRequest({
+            url: pageUrl,
+            headers: {
+                accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+                referer,
+            },
+        });
+        stats.httpRequests += 1;
+        return {
+            html: typeof response.body === 'string' ? response.body : '',
+            status: response.statusCode,
+            headers: response.headers,
+        };
+    };
+
+    await rotateSession();
+
+    return {
+        name: 'http',
+        escalateOnBlock,
+
+        async loadPage(pageUrl, { pageNum, searchId }) {
+            let { html, status, headers } = await fetchHtml(pageUrl);
+            let pagePayload = extractSearchPayloadFromHtml(html);
+            let challengeDetected = isChallengePage(html);
+            let usedChallengeRetry = false;
+
+            if ((!pagePayload || !pagePayload.jobKeys.length) && challengeDetected) {
+                usedChallengeRetry = true;
+                stats.challengeRetries += 1;
+                log.warning(`[${searchId}] Challenge page detected on page ${pageNum} over HTTP. Retrying with a fresh session.`);
+
+                await rotateSession();
+                await sleep(CONFIG.CLOUDFLARE_WAIT_MS);
+                ({ html, status, headers } = await fetchHtml(pageUrl));
+                pagePayload = extractSearchPayloadFromHtml(html);
+                challengeDetected = isChallengePage(html);
+            }
+
+            referer = pageUrl;
+            return {
+                html,
+                pagePayload,
+                challengeDetected,
+                usedChallengeRetry,
+                mode: 'http',
+                status,
+                headers,
+            };
+        },
+
+        fetchDetails: (options) => fetchListingDetailsViaHttp(sendRequest, options),
+        pause: (ms) => sleep(ms),
+    };
+}
+
+/**
+ * Offline page source that serves search pages and job details captured by an earlier run with saveRawPages.
+ * Pages and details go through the same parsing and normalization as a live run, and posting age is
+ * measured from the capture time so replaying old pages gives the same ages and daysBack results.
+ */
+function createReplayPageSource(reader) {
+    return {
+        name: 'replay',
+        escalateOnBlock: false,
+        capturedAt: reader.capturedAt,
+
+        async loadPage(pageUrl, { pageNum, searchId }) {
+            const html = await reader.readSearchPage(searchId, pageNum);
+            if (html === null) {
+                throw new Error(`No captured HTML for page ${pageNum} of search ${searchId}`);
+            }
+
+            return {
+                html,
+                pagePayload: extractSearchPayloadFromHtml(html),
+                challengeDetected: isChallengePage(html),
+                usedChallengeRetry: false,
+                mode: 'replay',
+            };
+        },
+
+        async fetchDetails({ jobKeys }) {
+            const detailsByListing = new Map();
+            const failures = [];
+
+            for (const jobKey of jobKeys) {
+                const saved = await reader.readJobDetails(jobKey.listingKey);
+                // Accept both the raw GetJobDetails response and a bare jobDetails object.
+                const jobDetails = saved?.jobDetails || (saved && typeof saved === 'object' ? saved : null);
+                if (jobDetails) {
+                    detailsByListing.set(jobKey.listingKey, jobDetails);
+                } else {
+                    failures.push({ listingKey: jobKey.listingKey, status: 0, body: 'No captured job details' });
                 }
             }
-        }
-    }
 
-    const detailsByListing = new Map();
-    let failed = 0;
+            return { detailsByListing, failed: failures.length, failures, skipped: 0 };
+        },
 
-    for (const result of collected) {
-        if (result?.ok && result.jobDetails) {
-            detailsByListing.set(result.listingKey, result.jobDetails);
-        } else {
-            failed += 1;
-        }
-    }
+        pause: async () => {},
+    };
+}
 
-    return { detailsByListing, failed };
+async function captureDebugSnapshot(pageSource, { searchId, pageNum, url, reason, error = '', pageResult = null }) {
+    await captureFailedPage({
+        searchId,
+        pageNum,
+        url,
+        reason,
+        error,
+        pageResult,
+        flightPayload: decodeNextFlightPayloadFromHtml(pageResult?.html),
+        screenshot: pageSource.captureScreenshot ? await pageSource.captureScreenshot() : null,
+    });
 }
 
 function normalizeJobRecord(card, detail, context) {
@@ -802,10 +1301,8 @@ function normalizeJobRecord(card, detail, context) {
     const pay = detail?.pay || card?.pay || {};
     const applyButton = detail?.applyButtonConfig || card?.applyButtonConfig || {};
 
-    const employmentTypes = normalizeTypedLabels(card?.employmentTypes);
-    const locationTypes = normalizeTypedLabels(card?.locationTypes);
-
-    const salaryInfo = formatSalary(pay);
+    const employmentTypes = normalizeTypedLabels(detail?.employmentTypes || card?.employmentTypes);
+    const locationTypes = normalizeTypedLabels(detail?.locationTypes || card?.locationTypes);
 
     const canonicalJobUrl = normalizeUrl(detail?.rawCanonicalZipJobPageUrl || card?.rawCanonicalZipJobPageUrl || '');
     const redirectJobUrl = normalizeUrl(card?.jobRedirectPageUrl || '');
@@ -819,14 +1316,39 @@ function normalizeJobRecord(card, detail, context) {
     const descriptionHtml = sanitizeDescriptionHtml(sourceDescriptionHtml) || sanitizeDescriptionHtml(card?.shortDescription || '');
     const descriptionText = stripHtml(descriptionHtml) || stripHtml(card?.shortDescription || '');
 
+    // Structured pay wins; the description is only scanned when ZipRecruiter reports no amounts at all.
+    let salaryInfo = formatSalary(pay);
+    let salarySource = salaryInfo.salary === 'Not specified' ? null : 'structured';
+    if (!salarySource) {
+        const extractedPay = extractSalaryFromText(descriptionText);
+        if (extractedPay) {
+            salaryInfo = formatSalary(extractedPay);
+            salarySource = 'description';
+        }
+    }
+    const salaryEquivalents = computeSalaryEquivalents(salaryInfo);
+
+    const title = detail?.title || card?.title || 'Unknown Title';
+    const companyName = company.canonicalDisplayName || company.name || '';
+    const descriptionSections = extractDescriptionSections(descriptionHtml);
+    const jobTags = tagJobText({ title, descriptionText, requirements: descriptionSections.requirements });
+
     const locationName = location.displayName || card?.location?.displayName || '';
     const remoteByType = locationTypes.some((type) => /remote/i.test(type));
     const remoteByLocation = /remote/i.test(locationName);
+    const geoFields = getGeoFields({
+        city: location.city,
+        stateCode: location.stateCode,
+        countryCode: location.countryCode,
+        isRemote: remoteByType || remoteByLocation,
+    });
 
     return {
-        title: detail?.title || card?.title || 'Unknown Title',
-        company: company.canonicalDisplayName || company.name || '',
+        title,
+        company: companyName,
         companyCanonicalName: company.canonicalDisplayName || '',
+        companyNormalized: normalizeCompanyName(companyName),
+        ...classifyStaffingAgency(companyName, descriptionText),
         companyId: company.id || '',
         companyUrl: companyUrl || undefined,
         companyLogoUrl: detail?.companyLogoUrl || card?.companyLogo?.logoUrl || '',
@@ -841,6 +1363,7 @@ function normalizeJobRecord(card, detail, context) {
         locationTypes,
         locationType: locationTypes.join(', '),
         isRemote: remoteByType || remoteByLocation,
+        ...geoFields,
 
         employmentTypes,
         jobType: employmentTypes.join(', ') || 'Not specified',
@@ -852,10 +1375,18 @@ function normalizeJobRecord(card, detail, context) {
         salaryMaxAnnual: salaryInfo.salaryMaxAnnual,
         salaryInterval: salaryInfo.salaryInterval,
         salaryCurrency: salaryInfo.salaryCurrency,
+        salarySource,
+        salaryAnnualMin: salaryEquivalents.salaryAnnualMin,
+        salaryAnnualMax: salaryEquivalents.salaryAnnualMax,
+        salaryHourlyMin: salaryEquivalents.salaryHourlyMin,
+        salaryHourlyMax: salaryEquivalents.salaryHourlyMax,
+        salaryAnnualIsDerived: salaryEquivalents.salaryAnnualIsDerived,
+        salaryHourlyIsDerived: salaryEquivalents.salaryHourlyIsDerived,
 
         postedDate: status.postedAtUtc || '',
         postedAtUtc: status.postedAtUtc || '',
         rollingPostedAtUtc: status.rollingPostedAtUtc || '',
+        ...getPostingFreshness(status.postedAtUtc, status.rollingPostedAtUtc, context.now),
         isActive: typeof status.isActive === 'boolean' ? status.isActive : null,
 
         url: jobUrl || undefined,
@@ -870,7 +1401,16 @@ function normalizeJobRecord(card, detail, context) {
 
         description_text: descriptionText,
         description_html: descriptionHtml,
+        ...descriptionSections,
+
+        skills: jobTags.skills,
+        certifications: jobTags.certifications,
+        minYearsExperience: jobTags.minYearsExperience,
+        educationLevel: jobTags.educationLevel,
+
+        detailStatus: context.detailStatus ?? null,
 
+        searchId: context.searchId || '',
         searchQuery: context.searchQuery || '',
         searchLocation: context.searchLocation || '',
         page: context.page,
@@ -882,29 +1422,47 @@ function normalizeJobRecord(card, detail, context) {
 try {
     const { resolvedInput: input, fallbackSources, userProvidedAny } = await resolveInputWithFallbacks();
 
-    const rawSearchUrl = normalizeInputString(input.searchUrl);
-    const rawSearchQuery = normalizeInputString(input.searchQuery);
-    const rawLocation = normalizeInputString(input.location);
-
-    const hasSearchUrl = Boolean(rawSearchUrl);
-    const hasSearchFilters = Boolean(rawSearchQuery || rawLocation);
-    const useSearchUrl = hasSearchUrl && !hasSearchFilters;
-
-    const effectiveSearch = {
-        searchUrl: useSearchUrl ? rawSearchUrl : '',
-        searchQuery: useSearchUrl ? '' : rawSearchQuery,
-        location: useSearchUrl ? '' : rawLocation,
-        daysBack: input.daysBack,
-    };
+    const runMode = normalizeInputString(input.mode) || 'search';
+    if (!RUN_MODES.includes(runMode)) {
+        throw new Error(`Invalid mode "${runMode}". Use one of: ${RUN_MODES.join(', ')}.`);
+    }
 
-    if (!effectiveSearch.searchUrl && !effectiveSearch.searchQuery && !effectiveSearch.location) {
-        throw new Error('Missing search input. Provide searchUrl, searchQuery, or location.');
+    // Recheck mode visits known listings only, so it has no searches.
+    const searches = runMode === 'recheck' ? [] : buildSearchMatrix(input);
+
+    if (!searches.length && runMode !== 'recheck') {
+        throw new Error('Missing search input. Provide searchUrl, searchQuery, location, or the batch lists searchQueries, locations, startUrls.');
     }
 
+    const searchesById = new Map(searches.map((search) => [search.searchId, search]));
+    const searchProgress = new Map(searches.map((search) => [search.searchId, {
+        jobs: 0,
+        pages: 0,
+        incompletePages: 0,
+        exhausted: false,
+        // Resume cursor, persisted in the run checkpoint after every page.
+        nextPage: 1,
+        discoveredMaxPages: null,
+        consecutiveEmpty: 0,
+        escalateAtPage: null,
+        done: false,
+    }]));
+
     const maxJobsInput = Number(input.maxJobs ?? 20);
     const targetJobs = maxJobsInput > 0 ? maxJobsInput : Number.POSITIVE_INFINITY;
     const scrapeMode = normalizeInputString(input.scrapeMode) || 'listing_only';
+
+    const fetchMode = normalizeInputString(input.fetchMode) || 'browser';
+    if (!FETCH_MODES.includes(fetchMode)) {
+        throw new Error(`Invalid fetchMode "${fetchMode}". Use one of: ${FETCH_MODES.join(', ')}.`);
+    }
+
     const includeJobDetails = scrapeMode === 'listing_with_details';
+    const detailBudgetInput = Number(input.maxDetailCalls ?? CONFIG.DEFAULT_DETAIL_BUDGET);
+    const detailBudget = detailBudgetInput > 0 ? detailBudgetInput : Number.POSITIVE_INFINITY;
+    const detailPriority = normalizeDetailPriority(input.detailPriority, input.detailPriorityKeywords);
+    let detailBudgetExhaustedLogged = false;
+    configureDetailLimiter({ maxConcurrency: CONFIG.DETAIL_CONCURRENCY, retries: CONFIG.DETAIL_RETRIES });
 
     const inferredPagesFromTarget = Number.isFinite(targetJobs)
         ? Math.ceil(targetJobs / CONFIG.JOBS_PER_PAGE) + 2
@@ -914,301 +1472,798 @@ try {
         Math.max(Number(input.maxPages) || inferredPagesFromTarget, 1),
         CONFIG.MAX_PAGES_HARD_LIMIT,
     );
+    const incrementalMode = input.incrementalMode === true;
+    const emitClosedJobs = incrementalMode && input.emitClosedJobs === true;
+    const closedRecords = [];
+
+    if (incrementalMode) {
+        await loadIncrementalState(normalizeInputString(input.incrementalStateStore) || CONFIG.DEFAULT_INCREMENTAL_STORE);
+    }
+
+    const trackChanges = input.trackChanges === true;
+    const changesOnly = trackChanges && input.changesOnly === true;
+    if (changesOnly && incrementalMode) {
+        throw new Error('changesOnly cannot be combined with incrementalMode: incremental mode only emits listings that were never seen, which have no earlier version to change from.');
+    }
+    if (trackChanges) {
+        await loadListingHistory(normalizeInputString(input.changeHistoryStore) || CONFIG.DEFAULT_CHANGE_HISTORY_STORE);
+    }
+
+    const rawPagesStore = normalizeInputString(input.rawPagesStore) || CONFIG.DEFAULT_RAW_PAGES_STORE;
+    const rawPageWriter = input.saveRawPages === true && runMode !== 'replay'
+        ? await openRawPageWriter(rawPagesStore)
+        : null;
+
+    const debugCapture = input.debugCapture === true;
+    const companyAggregates = input.companyAggregates === true;
+    const marketReport = input.marketReport === true;
+    const exportFormats = normalizeExportFormats(input.exportFormats);
+    const outputShape = normalizeOutputShape(input.outputShape);
+
+    const salaryFilter = {
+        minSalary: Number(input.minSalary) > 0 ? Number(input.minSalary) : null,
+        maxSalary: Number(input.maxSalary) > 0 ? Number(input.maxSalary) : null,
+        requireSalary: input.requireSalary === true,
+    };
+    const salaryFilterActive = salaryFilter.minSalary !== null || salaryFilter.maxSalary !== null || salaryFilter.requireSalary;
+    if (salaryFilter.minSalary !== null && salaryFilter.maxSalary !== null && salaryFilter.minSalary > salaryFilter.maxSalary) {
+        throw new Error(`minSalary (${salaryFilter.minSalary}) is greater than maxSalary (${salaryFilter.maxSalary}).`);
+    }
+
+    const jobRuleCount = configureJobRules(input.jobRules);
+    const nearDuplicateMode = configureNearDuplicates(input);
+
+    await loadSkillsDictionary(input.customSkillsDictionary ?? []);
+    await loadGazetteer();
+    await loadStaffingAgencies();
+    const excludeStaffingAgencies = input.excludeStaffingAgencies === true;
+    const nearLocationCount = configureNearLocations(input.nearLocations);
+
+    // The normalizer's own keys are the authoritative field list, so projection inputs cannot drift from it.
+    const knownOutputFields = [...new Set([
+        ...Object.keys(normalizeJobRecord({}, null, {})),
+        ...INCREMENTAL_RECORD_FIELDS,
+        ...HISTORY_RECORD_FIELDS,
+        ...RECHECK_RECORD_FIELDS,
+        ...NEAR_DUPLICATE_RECORD_FIELDS,
+        ...NEAR_LOCATION_RECORD_FIELDS,
+    ])];
+    const recordOutput = {
+        shape: outputShape,
+        projectRecord: buildFieldProjection(input, knownOutputFields),
+    };
+
+    const recheckTargets = runMode === 'recheck' ? await loadRecheckTargets(input) : [];
+    const recheckCounts = { active: 0, closed: 0, unknown: 0, changed: 0 };
+    const recheckNeedsPlacement = recheckTargets
+        .some((target) => target.listingKey && target.matchId && !(target.placementId && target.impressionLotId));
+
+    // Records dropped after normalization must not eat into maxJobs, so pages are then not cut to the remaining slots.
+    const limitCardsToRemainingSlots = !incrementalMode
+        && !changesOnly
+        && !salaryFilterActive
+        && !jobRuleCount
+        && !nearLocationCount
+        && !excludeStaffingAgencies
+        && !searches.some(getSearchMaxAgeDays)
+        && nearDuplicateMode !== 'drop';
 
     const normalizedProxyConfig = normalizeProxyInput(input.proxyConfiguration);
-    const proxyConfiguration = await Actor.createProxyConfiguration(normalizedProxyConfig);
+    const proxyConfiguration = runMode === 'replay'
+        ? null
+        : await Actor.createProxyConfiguration(normalizedProxyConfig);
 
     log.info('Starting ZipRecruiter actor in API-only search payload mode', {
-        searchQuery: effectiveSearch.searchQuery || null,
-        location: effectiveSearch.location || null,
-        usingSearchUrl: Boolean(effectiveSearch.searchUrl),
-        searchMode: effectiveSearch.searchUrl ? 'searchUrl' : 'queryOrLocation',
+        searches: searches.length,
+        searchIds: searches.map((search) => search.searchId),
+        usingSearchUrl: searches.some((search) => search.searchUrl),
+        searchFilters: searches[0]?.filters,
         maxJobs: Number.isFinite(targetJobs) ? targetJobs : 0,
         maxPages,
+        mode: runMode,
         scrapeMode,
+        fetchMode: runMode === 'replay' ? 'replay' : fetchMode,
+        saveRawPages: Boolean(rawPageWriter),
+        debugCapture,
+        salaryFilter: salaryFilterActive ? salaryFilter : null,
+        jobRules: jobRuleCount,
+        nearDuplicateMode,
+        excludeStaffingAgencies,
+        nearLocations: nearLocationCount ? getNearLocationStats().places : undefined,
         includeJobDetails,
+        maxDetailCalls: includeJobDetails && Number.isFinite(detailBudget) ? detailBudget : undefined,
+        detailPriority: includeJobDetails ? detailPriority.priority : undefined,
+        incrementalMode,
+        emitClosedJobs,
+        trackChanges,
+        changesOnly,
         userProvidedInput: userProvidedAny,
         fallbackSources,
         proxyCountry: normalizedProxyConfig.apifyProxyCountry || normalizedProxyConfig.countryCode || null,
         proxyGroups: normalizedProxyConfig.apifyProxyGroups || null,
+        recheckListings: runMode === 'recheck' ? recheckTargets.length : undefined,
     });
 
     let totalScraped = 0;
-    let consecutiveEmpty = 0;
-    let challengeSolvedInSession = false;
-    let forceNavigationNextPage = false;
 
-    const crawler = new PlaywrightCrawler({
-        proxyConfiguration,
-        maxRequestsPerCrawl: 1,
-        maxConcurrency: 1,
-        maxRequestRetries: 2,
-        navigationTimeoutSecs: 90,
-        requestHandlerTimeoutSecs: 210,
-        useSessionPool: true,
-        sessionPoolOptions: {
-            maxPoolSize: 20,
-            blockedStatusCodes: [],
-        },
-
-        launchContext: {
-            launcher: firefox,
-            launchOptions: await camoufoxLaunchOptions({
-                headless: true,
-                geoip: false,
-                os: 'windows',
-                locale: 'en-US',
-                humanize: false,
-            }),
-        },
+    // A recheck is short and has no page cursor to resume, so it always starts over.
+    const checkpoint = runMode === 'recheck' ? null : await loadCheckpoint(searches.map((search) => search.searchId));
+    if (checkpoint) {
+        for (const [searchId, savedProgress] of Object.entries(checkpoint.searches)) {
+            Object.assign(searchProgress.get(searchId), savedProgress);
+        }
+        for (const jobId of checkpoint.seenJobIds) seenJobIds.add(jobId);
+        Object.assign(stats, checkpoint.stats, { apiEndpoints: new Set(checkpoint.stats.apiEndpoints) });
+        totalScraped = checkpoint.totalScraped;
+        closedRecords.push(...checkpoint.closedRecords);
+        for (const journalEntry of checkpoint.journal) {
+            if (incrementalMode) restoreIncrementalJournal(journalEntry.incremental);
+            if (trackChanges) restoreListingHistoryJournal(journalEntry.listingHistory);
+            if (companyAggregates) restoreCompanyJournal(journalEntry.companies);
+            if (marketReport) restoreMarketReportJournal(journalEntry.marketReport);
+            if (nearDuplicateMode !== 'off') restoreNearDuplicateJournal(journalEntry.nearDuplicates);
+        }
+        restoreDetailLimiterSnapshot(checkpoint.detailLimiter);
+        restoreJobRuleSnapshot(checkpoint.jobRules);
+        restoreNearDuplicateSnapshot(checkpoint.nearDuplicates);
+        restoreNearLocationSnapshot(checkpoint.nearLocations);
+        if (debugCapture) await restoreCaptureIndex();
+    }
 
-        preNavigationHooks: [
-            async ({ page }) => {
-                await page.route('**/*', async (route) => {
-                    const request = route.request();
-                    const resourceType = request.resourceType();
+    enableCheckpoints(() => ({
+        searchIds: searches.map((search) => search.searchId),
+        totalScraped,
+        searches: Object.fromEntries(searchProgress),
+        seenJobIds: [...seenJobIds],
+        stats: { ...stats, apiEndpoints: [...stats.apiEndpoints] },
+        closedRecords,
+        detailLimiter: getDetailLimiterSnapshot(),
+        jobRules: jobRuleCount ? getJobRuleSnapshot() : undefined,
+        nearDuplicates: nearDuplicateMode !== 'off' ? getNearDuplicateSnapshot() : undefined,
+        nearLocations: nearLocationCount ? getNearLocationSnapshot() : undefined,
+    }), () => {
+        const journalEntry = {
+            incremental: incrementalMode ? takeIncrementalJournal() : null,
+            listingHistory: trackChanges ? takeListingHistoryJournal() : null,
+            companies: companyAggregates ? takeCompanyJournal() : null,
+            marketReport: marketReport ? takeMarketReportJournal() : null,
+            nearDuplicates: nearDuplicateMode !== 'off' ? takeNearDuplicateJournal() : null,
+        };
+        return Object.values(journalEntry).some(Boolean) ? journalEntry : null;
+    });
 
-                    if (resourceType === 'image' || resourceType === 'font' || resourceType === 'media') {
-                        await route.abort();
-                        return;
-                    }
+    /**
+     * Pages the run still expects to load, counting the current page. Detail priorities spread the
+     * detail budget over them. Each search's page count comes from its known last page and, with maxJobs,
+     * from the jobs its pages have actually yielded after the filters, so a filtered run that needs more
+     * pages than maxJobs suggests keeps budget for them. Re-estimated on every page.
+     */
+    function estimatePagesLeft(currentSearch, pageNum, discoveredMaxPages) {
+        let pagesLeft = 0;
+        for (const search of searches) {
+            const progress = searchProgress.get(search.searchId);
+            const isCurrent = search === currentSearch;
+            if (progress.done && !isCurrent) continue;
+
+            const firstPage = isCurrent ? pageNum : progress.nextPage || 1;
+            const lastPage = isCurrent ? discoveredMaxPages : progress.discoveredMaxPages ?? maxPages;
+            let searchPagesLeft = Math.max(lastPage - firstPage + 1, 0);
+            if (Number.isFinite(targetJobs)) {
+                const jobsPerPage = progress.pages ? Math.max(progress.jobs / progress.pages, 1) : CONFIG.JOBS_PER_PAGE;
+                searchPagesLeft = Math.min(searchPagesLeft, Math.ceil(Math.max(targetJobs - progress.jobs, 0) / jobsPerPage));
+            }
+            pagesLeft += searchPagesLeft;
+        }
+        return Math.max(pagesLeft, 1);
+    }
 
-                    await route.continue();
-                });
+    /**
+     * Walks the result pages of one search through the given page source and pushes the records.
+     * Returns `{ escalateAtPage }` when an HTTP source gave up on a page and the browser should take over.
+     */
+    async function scrapeSearchPages(search, pageSource, startPage = 1) {
+        const progress = searchProgress.get(search.searchId);
+        if (Number.isFinite(targetJobs) && progress.jobs >= targetJobs) return {};
+
+        let {consecutiveEmpty} = progress;
+        let discoveredMaxPages = progress.discoveredMaxPages ?? maxPages;
+        const maxAgeDays = getSearchMaxAgeDays(search);
+
+        // Records are pushed before the cursor moves and the checkpoint is saved right after, so a restart
+        // continues from the next page.
+        const completePage = async (pageNum) => {
+            progress.nextPage = pageNum + 1;
+            progress.consecutiveEmpty = consecutiveEmpty;
+            progress.discoveredMaxPages = discoveredMaxPages;
+            await saveCheckpoint();
+        };
 
-                await page.setExtraHTTPHeaders({
-                    Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-                    'Accept-Language': 'en-US,en;q=0.9',
-                    DNT: '1',
-                });
-            },
-        ],
+        for (let pageNum = startPage; pageNum <= discoveredMaxPages; pageNum += 1) {
+            const pageStartedAt = Date.now();
+            // Posting ages are measured from the capture time when replaying, and from now otherwise.
+            const ageReferenceTime = pageSource.capturedAt ?? pageStartedAt;
+            const remainingSlots = Number.isFinite(targetJobs)
+                ? Math.max(targetJobs - progress.jobs, 0)
+                : Number.POSITIVE_INFINITY;
+
+            if (remainingSlots === 0) {
+                log.info(`[${search.searchId}] Target reached on page ${pageNum - 1}`);
+                return {};
+            }
 
-        async requestHandler({ page, response }) {
-            if (Number.isFinite(targetJobs) && totalScraped >= targetJobs) return;
+            let records = [];
+            let usedChallengeRetry = false;
+            let pageResult = null;
+            const currentPageUrl = buildSearchUrl(search, pageNum);
 
-            await page.waitForLoadState('domcontentloaded', { timeout: 20000 }).catch(() => {});
-            await page.waitForTimeout(CONFIG.CONTENT_WAIT_MS);
+            try {
+                try {
+                    pageResult = await pageSource.loadPage(currentPageUrl, { pageNum, searchId: search.searchId });
+                } catch (fetchError) {
+                    if (!pageSource.escalateOnBlock) throw fetchError;
+                    pageResult = { fetchError, mode: 'http' };
+                }
+                const { pagePayload, challengeDetected } = pageResult;
+                usedChallengeRetry = pageResult.usedChallengeRetry;
+
+                const blockReason = pageSource.escalateOnBlock ? getHttpBlockReason(pageResult) : null;
+                if (blockReason) {
+                    stats.browserEscalations += 1;
+                    log.warning(`[${search.searchId}] HTTP fetch was blocked on page ${pageNum}. Escalating to browser.`, {
+                        reason: blockReason,
+                        status: pageResult.status,
+                        error: pageResult.fetchError?.message,
+                    });
 
-            let discoveredMaxPages = maxPages;
+                    if (debugCapture) {
+                        await captureDebugSnapshot(pageSource, {
+                            searchId: search.searchId,
+                            pageNum,
+                            url: currentPageUrl,
+                            reason: 'http_escalation',
+                            error: pageResult.fetchError?.message || blockReason,
+                            pageResult,
+                        });
+                    }
+                    return { escalateAtPage: pageNum };
+                }
 
-            for (let pageNum = 1; pageNum <= discoveredMaxPages; pageNum += 1) {
-                const pageStartedAt = Date.now();
-                const remainingSlots = Number.isFinite(targetJobs)
-                    ? Math.max(targetJobs - totalScraped, 0)
-                    : Number.POSITIVE_INFINITY;
+                if (rawPageWriter) {
+                    await rawPageWriter.saveSearchPage(search.searchId, pageNum, pageResult.html);
+                }
 
-                if (remainingSlots === 0) {
-                    log.info(`Target reached on page ${pageNum - 1}`);
-                    return;
+                if (pagePayload?.totalListings) {
+                    const pagesFromTotal = Math.ceil(pagePayload.totalListings / CONFIG.JOBS_PER_PAGE);
+                    if (Number.isFinite(pagesFromTotal) && pagesFromTotal > 0) {
+                        discoveredMaxPages = Math.min(discoveredMaxPages, pagesFromTotal);
+                    }
                 }
 
-                let records = [];
-                let usedChallengeRetry = false;
+                if (pagePayload?.jobKeys.length && Object.keys(pagePayload.jobKeysMap || {}).length) {
+                    stats.apiPagesProcessed += 1;
+                    stats.apiEndpoints.add('/jobs-search:serializedJobCardsData');
+
+                    const pageKeys = pagePayload.jobKeys
+                        .filter((jobKey) => pagePayload.jobKeysMap[jobKey.listingKey])
+                        .slice(0, Number.isFinite(remainingSlots) && limitCardsToRemainingSlots ? remainingSlots : undefined);
+
+                    const pageCards = pageKeys
+                        .map((jobKey) => pagePayload.jobKeysMap[jobKey.listingKey])
+                        .filter((jobCard) => jobCard?.listingKey);
+
+                    const jobKeysForDetails = pageKeys
+                        .map((jobKey) => ({
+                            listingKey: jobKey.listingKey,
+                            matchId: jobKey.matchId,
+                            bidTrackingData: jobKey.bidTrackingData || '',
+                        }))
+                        .filter((jobKey) => jobKey.listingKey && jobKey.matchId)
+                        .filter((jobKey) => !isKnownOpenListing(jobKey.listingKey));
+
+                    let detailsByListing = new Map();
+                    const detailStatusByListing = new Map();
+                    const remainingDetailBudget = Math.max(detailBudget - stats.detailCalls, 0);
+                    const detailKeysForThisPage = selectDetailCandidates(jobKeysForDetails, pagePayload.jobKeysMap, detailPriority, {
+                        remainingBudget: remainingDetailBudget,
+                        pagesLeft: estimatePagesLeft(search, pageNum, discoveredMaxPages),
+                    });
 
-                try {
-                    const currentPageUrl = buildSearchUrl(effectiveSearch, pageNum);
-                    const pageHtmlResult = await fetchSearchPageHtml(
-                        page,
-                        currentPageUrl,
-                        pageNum === 1 ? response : null,
-                        { allowNavigationFallback: pageNum === 1 || !challengeSolvedInSession || forceNavigationNextPage },
-                    );
-                    let pageHtml = pageHtmlResult.html;
-                    let pagePayload = extractSearchPayloadFromHtml(pageHtml);
-                    let challengeDetected = isChallengePage(pageHtml);
-
-                    if ((!pagePayload || !pagePayload.jobKeys.length) && challengeDetected) {
-                        usedChallengeRetry = true;
-                        stats.challengeRetries += 1;
-                        log.warning(`Challenge page detected on page ${pageNum}. Retrying after wait.`);
-
-                        await page.waitForTimeout(CONFIG.CLOUDFLARE_WAIT_MS);
-                        const retryResult = await fetchSearchPageHtml(
-                            page,
-                            currentPageUrl,
-                            null,
-                            { allowNavigationFallback: true },
-                        );
-                        const retryHtml = retryResult.html;
-
-                        pagePayload = extractSearchPayloadFromHtml(retryHtml);
-                        challengeDetected = isChallengePage(retryHtml);
-                        pageHtml = retryHtml;
+                    if (includeJobDetails) {
+                        // Jobs left out while budget remains were held back for later pages by detailPriority.
+                        const budgetExhausted = detailKeysForThisPage.length === remainingDetailBudget;
+                        const skippedStatus = budgetExhausted ? 'skipped_budget' : 'skipped_priority';
+                        const selectedListings = new Set(detailKeysForThisPage.map((jobKey) => jobKey.listingKey));
+                        for (const jobKey of jobKeysForDetails) {
+                            if (!selectedListings.has(jobKey.listingKey)) detailStatusByListing.set(jobKey.listingKey, skippedStatus);
+                        }
+                        if (budgetExhausted
+                            && detailKeysForThisPage.length < jobKeysForDetails.length
+                            && !detailBudgetExhaustedLogged) {
+                            detailBudgetExhaustedLogged = true;
+                            log.warning(`Detail budget of ${detailBudget} calls used up on page ${pageNum} of ${search.searchId}. `
+                                + 'Remaining jobs are saved without details (detailStatus "skipped_budget"). Raise maxDetailCalls to enrich more.');
+                        }
                     }
 
-                    // Adaptive recovery: when API-context fetch gets challenged on later pages,
-                    // refresh clearance using a real browser navigation and continue.
-                    if ((!pagePayload || !pagePayload.jobKeys.length) && challengeDetected && pageNum > 1) {
-                        forceNavigationNextPage = true;
-                        log.warning(`Challenge persisted on page ${pageNum}. Refreshing clearance via browser navigation.`);
-
-                        const recoveryResult = await fetchSearchPageHtml(
-                            page,
-                            currentPageUrl,
-                            null,
-                            { allowNavigationFallback: true },
-                        );
-
-                        const recoveryHtml = recoveryResult.html;
-                        const recoveryPayload = extractSearchPayloadFromHtml(recoveryHtml);
-                        const recoveryChallenge = isChallengePage(recoveryHtml);
-
-                        if (recoveryPayload?.jobKeys?.length && !recoveryChallenge) {
-                            pagePayload = recoveryPayload;
-                            challengeDetected = false;
-                            challengeSolvedInSession = true;
-                            forceNavigationNextPage = false;
-                            await page.waitForTimeout(250);
+                    if (includeJobDetails && detailKeysForThisPage.length > 0 && isDetailCircuitOpen()) {
+                        // The detail endpoint is blocking: keep the listing-only records instead of stalling the run.
+                        stats.detailSkipped += detailKeysForThisPage.length;
+                        for (const jobKey of detailKeysForThisPage) detailStatusByListing.set(jobKey.listingKey, 'skipped_circuit');
+                    } else if (includeJobDetails && detailKeysForThisPage.length > 0) {
+                        // Reserve the budget before the calls so concurrent pages cannot overspend it.
+                        stats.detailCalls += detailKeysForThisPage.length;
+                        stats.apiEndpoints.add('/job_services.job_card.api_public.public.api.v1.API/GetJobDetails');
+
+                        const detailResult = await pageSource.fetchDetails({
+                            jobKeys: detailKeysForThisPage,
+                            placementId: pagePayload.placementId,
+                            impressionLotId: pagePayload.impressionLotId,
+                            referer: currentPageUrl,
+                        });
+                        detailsByListing = detailResult.detailsByListing;
+                        stats.detailCalls -= detailResult.skipped;
+                        stats.detailFailures += detailResult.failed;
+                        stats.detailSkipped += detailResult.skipped;
+
+                        const failedKeys = new Set(detailResult.failures.map((failure) => failure.listingKey));
+                        for (const { listingKey } of detailKeysForThisPage) {
+                            if (detailsByListing.has(listingKey)) detailStatusByListing.set(listingKey, 'enriched');
+                            else detailStatusByListing.set(listingKey, failedKeys.has(listingKey) ? 'failed' : 'skipped_circuit');
                         }
-                    } else if (!challengeDetected) {
-                        forceNavigationNextPage = false;
-                    }
 
-                    if (pagePayload?.totalListings) {
-                        const pagesFromTotal = Math.ceil(pagePayload.totalListings / CONFIG.JOBS_PER_PAGE);
-                        if (Number.isFinite(pagesFromTotal) && pagesFromTotal > 0) {
-                            discoveredMaxPages = Math.min(discoveredMaxPages, pagesFromTotal);
+                        if (rawPageWriter) {
+                            await rawPageWriter.saveJobDetails(detailsByListing);
                         }
-                    }
 
-                    if (pagePayload?.jobKeys.length && Object.keys(pagePayload.jobKeysMap || {}).length) {
-                        challengeSolvedInSession = true;
-                        forceNavigationNextPage = false;
-                        stats.apiPagesProcessed += 1;
-                        stats.apiEndpoints.add('/jobs-search:serializedJobCardsData');
-
-                        const pageKeys = pagePayload.jobKeys
-                            .filter((jobKey) => pagePayload.jobKeysMap[jobKey.listingKey])
-                            .slice(0, Number.isFinite(remainingSlots) ? remainingSlots : undefined);
-
-                        const pageCards = pageKeys
-                            .map((jobKey) => pagePayload.jobKeysMap[jobKey.listingKey])
-                            .filter((jobCard) => jobCard?.listingKey);
-
-                        const jobKeysForDetails = pageKeys
-                            .map((jobKey) => ({
-                                listingKey: jobKey.listingKey,
-                                matchId: jobKey.matchId,
-                                bidTrackingData: jobKey.bidTrackingData || '',
-                            }))
-                            .filter((jobKey) => jobKey.listingKey && jobKey.matchId);
-
-                        let detailsByListing = new Map();
-                        const remainingDetailBudget = Math.max(CONFIG.DETAIL_ENRICHMENT_LIMIT - stats.detailCalls, 0);
-                        const detailKeysForThisPage = remainingDetailBudget > 0
-                            ? jobKeysForDetails.slice(0, remainingDetailBudget)
-                            : [];
-
-                        if (includeJobDetails && detailKeysForThisPage.length > 0) {
-                            stats.detailCalls += detailKeysForThisPage.length;
-                            stats.apiEndpoints.add('/job_services.job_card.api_public.public.api.v1.API/GetJobDetails');
-
-                            const detailResult = await fetchListingDetailsBatchViaApi(page, page.context().request, {
-                                jobKeys: detailKeysForThisPage,
-                                placementId: pagePayload.placementId,
-                                impressionLotId: pagePayload.impressionLotId,
+                        if (debugCapture) {
+                            await captureFailedDetails({
+                                searchId: search.searchId,
+                                pageNum,
+                                url: currentPageUrl,
+                                failures: detailResult.failures,
                             });
-                            detailsByListing = detailResult.detailsByListing;
-                            stats.detailFailures += detailResult.failed;
                         }
+                    }
 
-                        records = pageCards.map((card) => {
-                            const detail = detailsByListing.get(card.listingKey) || null;
-                            return normalizeJobRecord(card, detail, {
-                                searchQuery: effectiveSearch.searchQuery || '',
-                                searchLocation: effectiveSearch.location || '',
-                                page: pageNum,
-                            });
+                    records = pageCards.map((card) => {
+                        const detail = detailsByListing.get(card.listingKey) || null;
+                        return normalizeJobRecord(card, detail, {
+                            searchId: search.searchId,
+                            searchQuery: search.searchQuery || '',
+                            searchLocation: search.location || '',
+                            page: pageNum,
+                            detailStatus: detailStatusByListing.get(card.listingKey),
+                            now: ageReferenceTime,
                         });
-                    }
+                    });
+                }
 
-                    if (!records.length) {
-                        stats.emptyApiPages += 1;
-                        log.warning(`No API jobs extracted on page ${pageNum}`, {
-                            challenge: challengeDetected,
-                            usedChallengeRetry,
-                            htmlMode: pageHtmlResult.mode,
+                if (!records.length) {
+                    progress.incompletePages += 1;
+                    stats.emptyApiPages += 1;
+                    log.warning(`[${search.searchId}] No API jobs extracted on page ${pageNum}`, {
+                        challenge: challengeDetected,
+                        usedChallengeRetry,
+                        htmlMode: pageResult.mode,
+                        status: pageResult.status,
+                    });
+
+                    if (debugCapture) {
+                        let reason = 'no_jobs_in_payload';
+                        if (challengeDetected) reason = 'challenge';
+                        else if (!pagePayload) reason = 'no_payload';
+
+                        await captureDebugSnapshot(pageSource, {
+                            searchId: search.searchId,
+                            pageNum,
+                            url: currentPageUrl,
+                            reason,
+                            pageResult,
                         });
                     }
-                } catch (pageError) {
-                    stats.pagesProcessed += 1;
-                    consecutiveEmpty += 1;
-                    recordPageTiming(pageNum, pageStartedAt);
-                    log.warning(`Page ${pageNum} processing failed`, {
+                }
+            } catch (pageError) {
+                progress.incompletePages += 1;
+                stats.pagesProcessed += 1;
+                consecutiveEmpty += 1;
+                recordPageTiming(pageNum, pageStartedAt);
+                await completePage(pageNum);
+                log.warning(`[${search.searchId}] Page ${pageNum} processing failed`, {
+                    error: pageError.message,
+                    consecutiveEmpty,
+                });
+
+                if (debugCapture) {
+                    await captureDebugSnapshot(pageSource, {
+                        searchId: search.searchId,
+                        pageNum,
+                        url: currentPageUrl,
+                        reason: 'page_error',
                         error: pageError.message,
-                        consecutiveEmpty,
+                        pageResult,
                     });
+                }
 
-                    if (consecutiveEmpty >= CONFIG.MAX_EMPTY_PAGES) {
-                        log.info(`Stopping after ${consecutiveEmpty} empty pages`);
-                        return;
-                    }
-
-                    continue;
+                if (consecutiveEmpty >= CONFIG.MAX_EMPTY_PAGES) {
+                    log.info(`[${search.searchId}] Stopping after ${consecutiveEmpty} empty pages`);
+                    return {};
                 }
 
-                stats.pagesProcessed += 1;
+                continue;
+            }
 
-                const uniqueRecords = [];
-                for (const record of records) {
-                    const dedupeKey = record.listingKey
-                        || record.url
-                        || record.jobId
-                        || `${record.title || ''}|${record.company || ''}|${record.location || ''}`;
+            stats.pagesProcessed += 1;
+            progress.pages += 1;
+
+            const freshRecords = maxAgeDays
+                ? records.filter((record) => isWithinMaxAge(record, maxAgeDays, ageReferenceTime))
+                : records;
+            stats.daysBackFiltered += records.length - freshRecords.length;
+            const salaryAccepted = salaryFilterActive
+                ? freshRecords.filter((record) => matchesSalaryFilter(record, salaryFilter))
+                : freshRecords;
+            stats.salaryFiltered += freshRecords.length - salaryAccepted.length;
+            const directRecords = excludeStaffingAgencies
+                ? salaryAccepted.filter((record) => !record.isStaffingAgency)
+                : salaryAccepted;
+            stats.staffingAgencyFiltered += salaryAccepted.length - directRecords.length;
+            const acceptedRecords = applyNearLocations(applyJobRules(directRecords));
+
+            const exactUniqueRecords = [];
+            for (const record of acceptedRecords) {
+                const dedupeKey = record.listingKey
+                    || record.url
+                    || record.jobId
+                    || `${record.title || ''}|${record.company || ''}|${record.location || ''}`;
+
+                if (!dedupeKey || seenJobIds.has(dedupeKey)) continue;
+                seenJobIds.add(dedupeKey);
+                exactUniqueRecords.push(record);
+            }
+            const uniqueRecords = applyNearDuplicates(exactUniqueRecords);
+            const rejectedCount = records.length - acceptedRecords.length + exactUniqueRecords.length - uniqueRecords.length;
+
+            // Every listing on the page is versioned, so CHANGES is complete even when maxJobs limits the push.
+            let newRecords = uniqueRecords;
+            if (trackChanges) {
+                newRecords = uniqueRecords.map((record) => trackListingVersion(record));
+                if (changesOnly) newRecords = newRecords.filter((record) => record.changedFields.length);
+            }
 
-                    if (!dedupeKey || seenJobIds.has(dedupeKey)) continue;
-                    seenJobIds.add(dedupeKey);
-                    uniqueRecords.push(record);
+            if (incrementalMode) {
+                const candidates = newRecords;
+                newRecords = [];
+                for (const record of candidates) {
+                    if (newRecords.length >= remainingSlots) break;
+                    const tracked = trackIncrementalListing(record, search.searchId);
+                    if (tracked.status === 'new') newRecords.push(tracked.record);
+                    if (tracked.status === 'closed' && emitClosedJobs) closedRecords.push(tracked.record);
                 }
+            }
 
-                if (!uniqueRecords.length) {
-                    consecutiveEmpty += 1;
-                    log.info(`Page ${pageNum}: no new jobs`);
-                } else {
-                    consecutiveEmpty = 0;
-                    const limitedRecords = Number.isFinite(remainingSlots)
-                        ? uniqueRecords.slice(0, remainingSlots)
-                        : uniqueRecords;
-
-                    const pushedCount = await pushRecordsSafely(limitedRecords);
-                    totalScraped += pushedCount;
-                    stats.jobsExtracted += pushedCount;
-                    let extractionMode = 'next-flight-only';
-                    if (usedChallengeRetry) {
-                        extractionMode = 'next-flight+challenge-retry';
-                    }
+            if (!uniqueRecords.length && !rejectedCount) {
+                consecutiveEmpty += 1;
+                log.info(`[${search.searchId}] Page ${pageNum}: no new jobs`);
+            } else if (!newRecords.length) {
+                consecutiveEmpty = 0;
+                log.info(`[${search.searchId}] Page ${pageNum}: no jobs left to push`, {
+                    rejectedByFilters: rejectedCount,
+                    seenInPreviousRuns: uniqueRecords.length,
+                });
+            } else {
+                consecutiveEmpty = 0;
+                const limitedRecords = Number.isFinite(remainingSlots)
+                    ? newRecords.slice(0, remainingSlots)
+                    : newRecords;
+
+                const pushedRecords = await pushRecordsSafely(limitedRecords, recordOutput);
+                const pushedCount = pushedRecords.length;
+                if (companyAggregates) trackCompanyRecords(pushedRecords);
+                if (marketReport) trackMarketRecords(pushedRecords);
+                progress.jobs += pushedCount;
+                totalScraped += pushedCount;
+                stats.jobsExtracted += pushedCount;
+                let extractionMode = 'next-flight-only';
+                if (usedChallengeRetry) {
+                    extractionMode = 'next-flight+challenge-retry';
+                }
+
+                log.info(`[${search.searchId}] Page ${pageNum}: extracted ${pushedCount} jobs`, {
+                    searchTotal: progress.jobs,
+                    total: totalScraped,
+                    mode: extractionMode,
+                    fetchMode: pageSource.name,
+                });
+            }
+
+            recordPageTiming(pageNum, pageStartedAt);
+            await completePage(pageNum);
+
+            if (Number.isFinite(targetJobs) && progress.jobs >= targetJobs) {
+                log.info(`[${search.searchId}] Target reached on page ${pageNum}`);
+                return {};
+            }
+
+            if (consecutiveEmpty >= CONFIG.MAX_EMPTY_PAGES) {
+                log.info(`[${search.searchId}] Stopping after ${consecutiveEmpty} empty pages`);
+                return {};
+            }
+
+            await pageSource.pause(15 + Math.floor(Math.random() * 35));
+        }
+
+        // Only a loop that cleanly walked up to the last page reported by totalListings has seen every result.
+        progress.exhausted = discoveredMaxPages < maxPages && progress.incompletePages === 0;
+        return {};
+    }
+
+    /**
+     * Runs one search from its resume cursor and records the outcome in the checkpoint: finished
+     * searches are skipped after a restart, escalated ones go straight back to the browser.
+     */
+    async function scrapeSearch(search, pageSource, startPage = 1) {
+        const progress = searchProgress.get(search.searchId);
+        if (progress.done) return {};
+
+        const result = await scrapeSearchPages(search, pageSource, Math.max(startPage, progress.nextPage));
+        if (result.escalateAtPage) {
+            progress.escalateAtPage = result.escalateAtPage;
+        } else {
+            progress.done = true;
+        }
+        await saveCheckpoint();
+        return result;
+    }
+
+    /**
+     * Rechecks the listings from recheckJobs / recheckDatasetId without walking any search pages.
+     * Listings with a listingKey/matchId pair go through GetJobDetails; the rest, and pairs the API
+     * returned nothing for, load their job page. Each listing yields exactly one record.
+     */
+    async function recheckListings(pageSource) {
+        const pushRecheckRecords = async (records) => {
+            for (const record of records) {
+                recheckCounts[record.recheckStatus] += 1;
+                if (record.changedFields.length) recheckCounts.changed += 1;
+            }
+            const pushedRecords = await pushRecordsSafely(records, recordOutput);
+            const pushedCount = pushedRecords.length;
+            totalScraped += pushedCount;
+            stats.jobsExtracted += pushedCount;
+        };
+
+        const toRecheckRecord = (target, detail, recheckMethod) => {
+            const record = fillUnavailableFields(normalizeJobRecord({
+                listingKey: target.listingKey,
+                matchId: target.matchId,
+                rawCanonicalZipJobPageUrl: target.url,
+            }, detail, {}), detail, target.snapshot);
+            // Job data that still loads means the listing is reachable unless it says otherwise.
+            record.isActive = record.isActive !== false;
+            return {
+                ...record,
+                recheckStatus: record.isActive ? 'active' : 'closed',
+                recheckMethod,
+                changedFields: diffAgainstSnapshot(target.snapshot, record),
+            };
+        };
+
+        const apiTargets = recheckTargets.filter((target) => target.listingKey && target.matchId);
+        const pageTargets = recheckTargets.filter((target) => !(target.listingKey && target.matchId));
+
+        // GetJobDetails only answers with the placement of a search page, so pairs without one borrow it
+        // from a single search page. None of that page's jobs are used.
+        let bootstrapPlacement = null;
+        if (recheckNeedsPlacement) {
+            const bootstrap = await pageSource.loadPage(RECHECK_BOOTSTRAP_URL, { pageNum: 1, searchId: 'recheck' })
+                .catch((error) => log.warning(`Loading a search page for a detail placement failed: ${error.message}`));
+            if (bootstrap?.pagePayload?.placementId && bootstrap.pagePayload.impressionLotId) {
+                bootstrapPlacement = { placementId: bootstrap.pagePayload.placementId, impressionLotId: bootstrap.pagePayload.impressionLotId };
+            } else {
+                log.warning('No detail placement found on the search page. Listings are rechecked through their job pages instead.');
+            }
+        }
+
+        const placementGroups = new Map();
+        for (const target of apiTargets) {
+            const placement = target.placementId && target.impressionLotId
+                ? { placementId: target.placementId, impressionLotId: target.impressionLotId }
+                : bootstrapPlacement;
+            if (!placement) {
+                pageTargets.push(target);
+                continue;
+            }
+            const groupKey = `${placement.placementId}|${placement.impressionLotId}`;
+            if (!placementGroups.has(groupKey)) placementGroups.set(groupKey, { placement, targets: [] });
+            placementGroups.get(groupKey).targets.push(target);
+        }
+
+        for (const { placement, targets } of placementGroups.values()) {
+            stats.apiEndpoints.add('/job_services.job_card.api_public.public.api.v1.API/GetJobDetails');
+            const detailResult = await pageSource.fetchDetails({
+                jobKeys: targets.map(({ listingKey, matchId }) => ({ listingKey, matchId, bidTrackingData: '' })),
+                ...placement,
+                referer: RECHECK_BOOTSTRAP_URL,
+            });
+            stats.detailCalls += targets.length - detailResult.skipped;
+            stats.detailFailures += detailResult.failed;
+            stats.detailSkipped += detailResult.skipped;
+
+            const records = [];
+            for (const target of targets) {
+                const detail = detailResult.detailsByListing.get(target.listingKey);
+                if (detail) records.push(toRecheckRecord(target, detail, 'api'));
+                else pageTargets.push(target);
+            }
+            await pushRecheckRecords(records);
+        }
+
+        for (const target of pageTargets) {
+            if (!target.url) {
+                await pushRecheckRecords([buildSnapshotRecheckRecord(target, 'unknown', 'api')]);
+                continue;
+            }
+
+            const pageResult = await pageSource.loadPage(target.url, { pageNum: 1, searchId: 'recheck' })
+                .catch((error) => log.warning(`Recheck of ${target.url} failed: ${error.message}`));
+            stats.pagesProcessed += 1;
+
+            const detail = pageResult ? extractJobPostingDetails(pageResult.html) : null;
+            let record;
+            if (detail) {
+                record = toRecheckRecord(target, detail, 'page');
+            } else if (pageResult && isClosedJobPage(pageResult.status, pageResult.html)) {
+                record = buildSnapshotRecheckRecord(target, 'closed', 'page');
+            } else {
+                record = buildSnapshotRecheckRecord(target, 'unknown', 'page');
+            }
+            await pushRecheckRecords([record]);
+        }
 
-                    log.info(`Page ${pageNum}: extracted ${pushedCount} jobs`, {
-                        total: totalScraped,
-                        mode: extractionMode,
+        log.info('Recheck finished', recheckCounts);
+    }
+
+    let browserQueue = searches
+        .filter((search) => !searchProgress.get(search.searchId).done)
+        .map((search) => ({ search, startPage: searchProgress.get(search.searchId).nextPage }));
+
+    if (runMode === 'recheck') {
+        if (fetchMode !== 'browser') await recheckListings(await createHttpPageSource(proxyConfiguration));
+    } else if (runMode === 'replay') {
+        browserQueue = [];
+        const reader = await openRawPageReader({
+            directory: normalizeInputString(input.replayDirectory),
+            storeName: rawPagesStore,
+        });
+        if (reader.capturedAt === null) {
+            log.warning('The captured pages have no MANIFEST record with a capture time, so posting age is measured from now.');
+        }
+        for (const search of searches) {
+            await scrapeSearch(search, createReplayPageSource(reader));
+        }
+    } else if (fetchMode !== 'browser') {
+        browserQueue = [];
+        for (const search of searches) {
+            const progress = searchProgress.get(search.searchId);
+            if (progress.done) continue;
+
+            let { escalateAtPage } = progress;
+            if (!escalateAtPage) {
+                const httpSource = await createHttpPageSource(proxyConfiguration, { escalateOnBlock: fetchMode === 'auto' });
+                ({ escalateAtPage } = await scrapeSearch(search, httpSource));
+            }
+            if (escalateAtPage) {
+                browserQueue.push({ search, startPage: escalateAtPage });
+            }
+        }
+    }
+
+    const browserRequests = browserQueue.map(({ search, startPage }) => ({
+        url: buildSearchUrl(search, startPage),
+        uniqueKey: search.searchId,
+        userData: { searchId: search.searchId, startPage },
+    }));
+    if (runMode === 'recheck' && fetchMode === 'browser') {
+        browserRequests.push({ url: RECHECK_BOOTSTRAP_URL, uniqueKey: 'recheck', userData: { recheck: true } });
+    }
+
+    if (browserRequests.length) {
+        const crawler = new PlaywrightCrawler({
+            proxyConfiguration,
+            maxRequestsPerCrawl: browserRequests.length,
+            maxConcurrency: 1,
+            maxRequestRetries: 2,
+            navigationTimeoutSecs: 90,
+            requestHandlerTimeoutSecs: 210,
+            useSessionPool: true,
+            sessionPoolOptions: {
+                maxPoolSize: 20,
+                blockedStatusCodes: [],
+            },
+
+            launchContext: {
+                launcher: firefox,
+                launchOptions: await camoufoxLaunchOptions({
+                    headless: true,
+                    geoip: false,
+                    os: 'windows',
+                    locale: 'en-US',
+                    humanize: false,
+                }),
+            },
+
+            preNavigationHooks: [
+                async ({ page }) => {
+                    await page.route('**/*', async (route) => {
+                        const request = route.request();
+                        const resourceType = request.resourceType();
+
+                        if (resourceType === 'image' || resourceType === 'font' || resourceType === 'media') {
+                            await route.abort();
+                            return;
+                        }
+
+                        await route.continue();
                     });
-                }
 
-                recordPageTiming(pageNum, pageStartedAt);
+                    await page.setExtraHTTPHeaders({
+                        Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+                        'Accept-Language': 'en-US,en;q=0.9',
+                        DNT: '1',
+                    });
+                },
+            ],
 
-                if (Number.isFinite(targetJobs) && totalScraped >= targetJobs) {
-                    log.info(`Target reached on page ${pageNum}`);
-                    return;
-                }
+            async requestHandler({ request, page, response }) {
+                await page.waitForLoadState('domcontentloaded', { timeout: 20000 }).catch(() => {});
+                await page.waitForTimeout(CONFIG.CONTENT_WAIT_MS);
 
-                if (consecutiveEmpty >= CONFIG.MAX_EMPTY_PAGES) {
-                    log.info(`Stopping after ${consecutiveEmpty} empty pages`);
+                if (request.userData.recheck) {
+                    // The navigation response is the placement search page, which is only loaded when needed.
+                    await recheckListings(createBrowserPageSource(page, recheckNeedsPlacement ? response : null));
                     return;
                 }
 
-                await page.waitForTimeout(15 + Math.floor(Math.random() * 35));
-            }
-        },
+                const search = searchesById.get(request.userData.searchId);
 
-        failedRequestHandler({ request }, error) {
-            log.error(`Request failed for page ${request.userData.pageNum || 1}: ${error?.message || 'Unknown error'}`);
-        },
-    });
+                // After a restart the queued request may point at a page the checkpoint has already moved past;
+                // its navigation response then belongs to the wrong page and is not reused.
+                const startPage = Math.max(request.userData.startPage || 1, searchProgress.get(search.searchId).nextPage);
+                const initialResponse = startPage === (request.userData.startPage || 1) ? response : null;
+                await scrapeSearch(search, createBrowserPageSource(page, initialResponse), startPage);
+            },
+
+            failedRequestHandler({ request }, error) {
+                log.error(`Request failed for search ${request.userData.searchId}: ${error?.message || 'Unknown error'}`);
+            },
+        });
+
+        await crawler.run(browserRequests);
+    }
+
+    if (isIncrementalEnabled()) {
+        if (emitClosedJobs) {
+            const exhaustedSearchIds = new Set(searches
+                .map((search) => search.searchId)
+                .filter((searchId) => searchProgress.get(searchId).exhausted));
+            closedRecords.push(...collectDisappearedListings(exhaustedSearchIds));
+
+            const pushedClosed = await pushRecordsSafely(closedRecords, recordOutput);
+            log.info(`Emitted ${pushedClosed.length} closed listing records`);
+        }
+
+        await saveIncrementalState();
+    }
+
+    if (trackChanges) await saveListingHistory();
+
+    await saveCheckpoint();
 
-    await crawler.run([{
-        url: buildSearchUrl(effectiveSearch, 1),
-    }]);
+    if (companyAggregates) await saveCompanyAggregates();
+    if (marketReport) await saveMarketReport();
+    const exports = exportFormats.length
+        ? await writeExports(exportFormats, { restoreFieldName: buildFieldRestore(input) })
+        : undefined;
 
     const durationSeconds = Math.round((Date.now() - stats.startTime) / 1000);
     const jobsPerSecond = durationSeconds > 0 ? Number((stats.jobsExtracted / durationSeconds).toFixed(3)) : 0;
@@ -1224,11 +2279,34 @@ try {
         emptyApiPages: stats.emptyApiPages,
         detailCalls: stats.detailCalls,
         detailFailures: stats.detailFailures,
+        detailSkipped: stats.detailSkipped,
+        httpRequests: stats.httpRequests,
+        browserEscalations: stats.browserEscalations,
+        salaryFiltered: stats.salaryFiltered,
+        staffingAgencyFiltered: stats.staffingAgencyFiltered,
+        daysBackFiltered: stats.daysBackFiltered,
         slowPages: stats.slowPages,
         avgPageMs,
         durationSeconds,
         jobsPerSecond,
         apiEndpoints: Array.from(stats.apiEndpoints),
+        detailLimiter: includeJobDetails || runMode === 'recheck' ? getDetailLimiterStats() : undefined,
+        jobRules: jobRuleCount ? getJobRuleStats() : undefined,
+        nearDuplicates: nearDuplicateMode !== 'off' ? getNearDuplicateStats() : undefined,
+        nearLocations: nearLocationCount ? getNearLocationStats() : undefined,
+        searches: searches.map((search) => ({
+            searchId: search.searchId,
+            ...searchProgress.get(search.searchId),
+        })),
+        incremental: incrementalMode ? getIncrementalCounts() : undefined,
+        changeHistory: trackChanges ? getListingHistoryCounts() : undefined,
+        recheck: runMode === 'recheck' ? recheckCounts : undefined,
+        rawPages: rawPageWriter ? { storeName: rawPageWriter.storeName, ...rawPageWriter.getCounts() } : undefined,
+        debugCaptures: debugCapture ? getCaptureCount() : undefined,
+        resumedFromCheckpoint: Boolean(checkpoint),
+        companies: companyAggregates ? getCompanyCount() : undefined,
+        marketReportJobs: marketReport ? getMarketReportRowCount() : undefined,
+        exports,
         finishedAt: new Date().toISOString(),
     });
 
@@ -1240,6 +2318,12 @@ try {
         emptyApiPages: stats.emptyApiPages,
         detailCalls: stats.detailCalls,
         detailFailures: stats.detailFailures,
+        detailSkipped: stats.detailSkipped,
+        httpRequests: stats.httpRequests,
+        browserEscalations: stats.browserEscalations,
+        salaryFiltered: stats.salaryFiltered,
+        staffingAgencyFiltered: stats.staffingAgencyFiltered,
+        daysBackFiltered: stats.daysBackFiltered,
         slowPages: stats.slowPages,
         avgPageMs,
         durationSeconds,
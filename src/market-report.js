@@ -0,0 +1,341 @@
+import { Actor, log } from 'apify';
+
+import { getCompanyMatchKey } from './company-normalization.js';
+
+const REPORT_KEY = 'MARKET_REPORT';
+const REPORT_HTML_KEY = 'MARKET_REPORT_HTML';
+const MAX_GROUPS = 25;
+const PERCENTILES = [10, 25, 50, 75, 90];
+
+// Upper bounds in days; postings older than the last bound fall into "31+".
+const AGE_BUCKETS = [
+    [1, '0-1'],
+    [3, '2-3'],
+    [7, '4-7'],
+    [14, '8-14'],
+    [30, '15-30'],
+];
+
+// One compact row per pushed job, so the report can be rebuilt after a checkpoint resume.
+const reportRows = [];
+let savedRowCount = 0;
+
+function getWorkplace(record) {
+    const types = [].concat(record.locationTypes || []).join(' ');
+    if (/hybrid/i.test(types)) return 'hybrid';
+    if (record.isRemote) return 'remote';
+    if (types || record.locationCity) return 'onsite';
+    return 'unspecified';
+}
+
+// Midpoint of the annual range, or the single bound ZipRecruiter gave.
+function getAnnualSalary(record) {
+    const min = typeof record.salaryAnnualMin === 'number' ? record.salaryAnnualMin : null;
+    const max = typeof record.salaryAnnualMax === 'number' ? record.salaryAnnualMax : null;
+    if (min === null && max === null) return null;
+    return Math.round(((min ?? max) + (max ?? min)) / 2);
+}
+
+/**
+ * Keeps the fields the report needs from each pushed record. Closed records from incremental mode and
+ * near-duplicates of an earlier listing are skipped, as in the company aggregates.
+ */
+export function trackMarketRecords(records) {
+    for (const record of records) {
+        if (record.recordType === 'closed' || record.duplicateOf) continue;
+        reportRows.push({
+            title: String(record.title || '')
+                .replace(/\s+/g, ' ')
+                .trim(),
+            state: record.locationStateCode || record.locationState || '',
+            company: record.companyNormalized || record.companyCanonicalName || record.company || '',
+            workplace: getWorkplace(record),
+            employmentTypes: [].concat(record.employmentTypes || []),
+            postedAgeDays: typeof record.postedAgeDays === 'number' ? record.postedAgeDays : null,
+            salaryAnnual: getAnnualSalary(record),
+            salaryCurrency: record.salaryCurrency || null,
+        });
+    }
+}
+
+// Rows added since the previous call, for the run checkpoint journal.
+export function takeMarketReportJournal() {
+    if (savedRowCount === reportRows.length) return null;
+    const rows = reportRows.slice(savedRowCount);
+    savedRowCount = reportRows.length;
+    return rows;
+}
+
+export function restoreMarketReportJournal(rows = []) {
+    reportRows.push(...rows);
+    savedRowCount = reportRows.length;
+}
+
+export function getMarketReportRowCount() {
+    return reportRows.length;
+}
+
+function toShare(count, total) {
+    return total ? Math.round((count / total) * 1000) / 1000 : 0;
+}
+
+// Linear interpolation between the closest ranks, the same method spreadsheets use for PERCENTILE.
+function getPercentile(sorted, percentile) {
+    const rank = (percentile / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return Math.round(sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower));
+}
+
+function summarizeSalaries(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    return Object.fromEntries(PERCENTILES.map((percentile) => [`p${percentile}`, getPercentile(sorted, percentile)]));
+}
+
+// Groups are matched case-insensitively and labelled with their most frequent spelling.
+function buildSalaryGroups(rows, getLabel) {
+    const groups = new Map();
+    for (const row of rows) {
+        const label = getLabel(row);
+        if (!label) continue;
+        const key = label.toLowerCase();
+        let group = groups.get(key);
+        if (!group) {
+            group = { labels: new Map(), jobs: 0, salaries: [] };
+            groups.set(key, group);
+        }
+        group.jobs += 1;
+        group.labels.set(label, (group.labels.get(label) || 0) + 1);
+        if (row.salaryAnnual !== null) group.salaries.push(row.salaryAnnual);
+    }
+
+    return [...groups.values()]
+        .filter((group) => group.salaries.length)
+        .sort((a, b) => b.salaries.length - a.salaries.length || b.jobs - a.jobs)
+        .slice(0, MAX_GROUPS)
+        .map((group) => ({
+            name: [...group.labels.entries()].sort((a, b) => b[1] - a[1])[0][0],
+            jobs: group.jobs,
+            jobsWithSalary: group.salaries.length,
+            ...summarizeSalaries(group.salaries),
+        }));
+}
+
+function countBy(rows, getKeys) {
+    const counts = new Map();
+    for (const row of rows) {
+        for (const key of getKeys(row)) counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .map(([name, jobs]) => ({ name, jobs, share: toShare(jobs, rows.length) }));
+}
+
+function getAgeBucket(days) {
+    if (days === null) return 'unknown';
+    const bucket = AGE_BUCKETS.find(([upper]) => days <= upper);
+    return bucket ? bucket[1] : '31+';
+}
+
+function buildTopCompanies(rows) {
+    const companies = new Map();
+    for (const row of rows) {
+        const key = getCompanyMatchKey(row.company);
+        if (!key) continue;
+        const entry = companies.get(key) || { name: row.company, jobs: 0, salaries: [] };
+        entry.jobs += 1;
+        if (row.salaryAnnual !== null) entry.salaries.push(row.salaryAnnual);
+        companies.set(key, entry);
+    }
+    return [...companies.values()]
+        .sort((a, b) => b.jobs - a.jobs || a.name.localeCompare(b.name))
+        .slice(0, MAX_GROUPS)
+        .map(({ name, jobs, salaries }) => ({
+            name,
+            jobs,
+            share: toShare(jobs, rows.length),
+            medianSalaryAnnual: salaries.length ? summarizeSalaries(salaries).p50 : null,
+        }));
+}
+
+// The currency most salaried jobs are paid in; ties go to the currency seen first.
+function getReportCurrency(rows) {
+    const counts = new Map();
+    for (const row of rows) {
+        if (row.salaryAnnual !== null && row.salaryCurrency) {
+            counts.set(row.salaryCurrency, (counts.get(row.salaryCurrency) || 0) + 1);
+        }
+    }
+    return [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best), [null, 0])[0];
+}
+
+/**
+ * Builds the report from the tracked rows. Salary figures are annual midpoints; hourly and monthly pay
+ * is annualized the same way as `salaryAnnualMin`/`salaryAnnualMax`. Percentiles only use salaries in
+ * `salaryCurrency`, the currency most salaried jobs are paid in, because amounts in different currencies
+ * cannot be ranked together. Jobs paid in other currencies still count toward the disclosure rate.
+ */
+export function buildMarketReport() {
+    const currency = getReportCurrency(reportRows);
+    const disclosed = reportRows.filter((row) => row.salaryAnnual !== null).length;
+    const rows = reportRows.map((row) =>
+        row.salaryAnnual === null || row.salaryCurrency === currency ? row : { ...row, salaryAnnual: null },
+    );
+    const salaries = rows.filter((row) => row.salaryAnnual !== null).map((row) => row.salaryAnnual);
+    const ageCounts = countBy(rows, (row) => [getAgeBucket(row.postedAgeDays)]);
+    const ageOrder = [...AGE_BUCKETS.map(([, label]) => label), '31+', 'unknown'];
+
+    return {
+        generatedAt: new Date().toISOString(),
+        totalJobs: rows.length,
+        salaryCurrency: currency,
+        salaryDisclosure: {
+            jobsWithSalary: disclosed,
+            rate: toShare(disclosed, rows.length),
+            jobsInOtherCurrencies: disclosed - salaries.length,
+        },
+        salaryOverall: salaries.length ? { jobsWithSalary: salaries.length, ...summarizeSalaries(salaries) } : null,
+        salaryByTitle: buildSalaryGroups(rows, (row) => row.title),
+        salaryByState: buildSalaryGroups(rows, (row) => row.state),
+        workplaceMix: countBy(rows, (row) => [row.workplace]),
+        employmentTypeMix: countBy(rows, (row) =>
+            row.employmentTypes.length ? row.employmentTypes : ['Not specified'],
+        ),
+        topCompanies: buildTopCompanies(rows),
+        postingAge: ageOrder
+            .map((name) => ageCounts.find((bucket) => bucket.name === name) || { name, jobs: 0, share: 0 })
+            .map(({ name, jobs, share }) => ({ days: name, jobs, share })),
+    };
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const formatNumber = (value) => (value === null || value === undefined ? '—' : Number(value).toLocaleString('en-US'));
+const formatPercent = (share) => `${(share * 100).toFixed(1)}%`;
+
+function renderTable(title, columns, rows) {
+    const head = columns.map(([label]) => `<th>${escapeHtml(label)}</th>`).join('');
+    const body = rows.length
+        ? rows
+              .map((row) => `<tr>${columns.map(([, render]) => `<td>${escapeHtml(render(row))}</td>`).join('')}</tr>`)
+              .join('\n')
+        : `<tr><td colspan="${columns.length}">No data</td></tr>`;
+    return `<section>\n<h2>${escapeHtml(title)}</h2>\n<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>\n</section>`;
+}
+
+function renderShareTable(title, label, rows) {
+    return renderTable(
+        title,
+        [
+            [label, (row) => row.name ?? row.days],
+            ['Jobs', (row) => formatNumber(row.jobs)],
+            ['Share', (row) => formatPercent(row.share)],
+        ],
+        rows,
+    );
+}
+
+function renderSalaryTable(title, label, rows) {
+    return renderTable(
+        title,
+        [
+            [label, (row) => row.name],
+            ['Jobs', (row) => formatNumber(row.jobs)],
+            ['With salary', (row) => formatNumber(row.jobsWithSalary)],
+            ...PERCENTILES.map((percentile) => [`P${percentile}`, (row) => formatNumber(row[`p${percentile}`])]),
+        ],
+        rows,
+    );
+}
+
+function describeSalaryCurrency({ salaryCurrency, salaryDisclosure }) {
+    if (!salaryCurrency) return 'Salaries are annual midpoints.';
+    const others = salaryDisclosure.jobsInOtherCurrencies;
+    const summary = `Salaries are annual midpoints in ${salaryCurrency}.`;
+    if (!others) return summary;
+    return others === 1
+        ? `${summary} 1 job paid in another currency is left out of the salary figures.`
+        : `${summary} ${formatNumber(others)} jobs paid in other currencies are left out of the salary figures.`;
+}
+
+/**
+ * Single-file HTML view of the report with inline styles, so it opens straight from the key-value store.
+ */
+export function renderMarketReportHtml(report) {
+    const overall = report.salaryOverall;
+    const summary = [
+        ['Jobs', formatNumber(report.totalJobs)],
+        [
+            'Salary disclosed',
+            `${formatNumber(report.salaryDisclosure.jobsWithSalary)} (${formatPercent(report.salaryDisclosure.rate)})`,
+        ],
+        ['Median annual salary', overall ? `${formatNumber(overall.p50)} ${report.salaryCurrency}` : '—'],
+        ['P25–P75', overall ? `${formatNumber(overall.p25)} – ${formatNumber(overall.p75)}` : '—'],
+    ]
+        .map(
+            ([label, value]) =>
+                `<div class="card"><div class="label">${escapeHtml(label)}</div><div class="value">${escapeHtml(value)}</div></div>`,
+        )
+        .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Job Market Report</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; margin: 2rem; color: #1f2933; }
+h1 { margin-bottom: 0.25rem; }
+.meta { color: #616e7c; margin-bottom: 1.5rem; }
+.cards { display: flex; flex-wrap: wrap; gap: 1rem; margin-bottom: 2rem; }
+.card { border: 1px solid #d9e2ec; border-radius: 6px; padding: 0.75rem 1rem; min-width: 10rem; }
+.label { color: #616e7c; font-size: 0.85rem; }
+.value { font-size: 1.35rem; font-weight: 600; }
+section { margin-bottom: 2rem; }
+table { border-collapse: collapse; min-width: 24rem; }
+th, td { border-bottom: 1px solid #e4e7eb; padding: 0.35rem 0.75rem; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+th { background: #f5f7fa; }
+</style>
+</head>
+<body>
+<h1>Job Market Report</h1>
+<div class="meta">Generated ${escapeHtml(report.generatedAt)}. ${escapeHtml(describeSalaryCurrency(report))}</div>
+<div class="cards">
+${summary}
+</div>
+${renderSalaryTable('Salary by Title', 'Title', report.salaryByTitle)}
+${renderSalaryTable('Salary by State', 'State', report.salaryByState)}
+${renderShareTable('Remote, Hybrid and Onsite', 'Workplace', report.workplaceMix)}
+${renderShareTable('Employment Type', 'Type', report.employmentTypeMix)}
+${renderTable(
+    'Top Hiring Companies',
+    [
+        ['Company', (row) => row.name],
+        ['Jobs', (row) => formatNumber(row.jobs)],
+        ['Share', (row) => formatPercent(row.share)],
+        ['Median salary', (row) => formatNumber(row.medianSalaryAnnual)],
+    ],
+    report.topCompanies,
+)}
+${renderShareTable('Posting Age', 'Days since posted', report.postingAge)}
+</body>
+</html>
+`;
+}
+
+/**
+ * Writes MARKET_REPORT (JSON) and MARKET_REPORT_HTML to the default key-value store.
+ */
+export async function saveMarketReport() {
+    const report = buildMarketReport();
+    await Actor.setValue(REPORT_KEY, report);
+    await Actor.setValue(REPORT_HTML_KEY, renderMarketReportHtml(report), { contentType: 'text/html; charset=utf-8' });
+    log.info(`Saved market report for ${report.totalJobs} jobs to ${REPORT_KEY} and ${REPORT_HTML_KEY}`);
+}
@@ -0,0 +1,263 @@
+import { getCompanyMatchKey } from './company-normalization.js';
+
+// Fields near-duplicate detection adds to job records when it is on.
+export const NEAR_DUPLICATE_RECORD_FIELDS = ['duplicateOf', 'duplicateScore'];
+export const NEAR_DUPLICATE_MODES = ['off', 'mark', 'drop'];
+
+const DEFAULT_THRESHOLD = 0.8;
+const MINHASH_SIZE = 64;
+const LSH_BANDS = 16;
+const LSH_ROWS = MINHASH_SIZE / LSH_BANDS;
+const SHINGLE_WORDS = 3;
+const MIN_SHINGLES = 5;
+
+// Description similarity decides most cases: a multi-location post keeps title, company and text,
+// an agency repost keeps title and text under another company name.
+const WEIGHTS = { description: 0.6, title: 0.25, company: 0.1, location: 0.05 };
+
+const TITLE_NOISE_WORDS = new Set([
+    'remote',
+    'hybrid',
+    'onsite',
+    'urgent',
+    'urgently',
+    'hiring',
+    'immediate',
+    'immediately',
+    'now',
+    'new',
+]);
+
+const duplicateState = {
+    mode: 'off',
+    threshold: DEFAULT_THRESHOLD,
+    entries: new Map(),
+    bands: new Map(),
+    exactKeys: new Map(),
+    // Entries indexed since the last checkpoint journal entry.
+    unsavedEntries: [],
+    counts: {
+        checked: 0,
+        duplicates: 0,
+    },
+};
+
+// MinHash uses the universal family (a * x + b) mod p over a Mersenne prime. Coefficients are fixed so
+// signatures stay comparable after a checkpoint resume, and a stays below 2^21 so a * x is exact in a double.
+const HASH_PRIME = 2147483647;
+const HASH_FAMILY = Array.from({ length: MINHASH_SIZE }, (_, index) => ({
+    a: 1 + (((index + 1) * 1103515245) % 2097151),
+    b: ((index + 1) * 12345 * 40503) % HASH_PRIME,
+}));
+
+function hashShingle(text) {
+    let hash = 0;
+    for (let index = 0; index < text.length; index++) {
+        hash = (hash * 31 + text.charCodeAt(index)) % HASH_PRIME;
+    }
+    return hash;
+}
+
+function tokenize(text) {
+    return (
+        String(text || '')
+            .toLowerCase()
+            .match(/[\p{L}\p{N}]+/gu) || []
+    );
+}
+
+function normalizeTitleTokens(title) {
+    const withoutAsides = String(title || '').replace(/\([^)]*\)|\[[^\]]*\]/g, ' ');
+    return tokenize(withoutAsides).filter((token) => !TITLE_NOISE_WORDS.has(token));
+}
+
+function normalizeLocation(location) {
+    return tokenize(location).join(' ');
+}
+
+/**
+ * MinHash signature over word shingles of the description. Descriptions too short to shingle
+ * meaningfully (card snippets, empty details) get no signature and are compared on metadata only.
+ */
+function buildSignature(text) {
+    const tokens = tokenize(text);
+    const shingleHashes = new Set();
+    for (let index = 0; index + SHINGLE_WORDS <= tokens.length; index++) {
+        shingleHashes.add(hashShingle(tokens.slice(index, index + SHINGLE_WORDS).join(' ')));
+    }
+    if (shingleHashes.size < MIN_SHINGLES) return null;
+
+    const signature = new Array(MINHASH_SIZE).fill(HASH_PRIME);
+    for (const shingleHash of shingleHashes) {
+        HASH_FAMILY.forEach(({ a, b }, index) => {
+            const value = (a * shingleHash + b) % HASH_PRIME;
+            if (value < signature[index]) signature[index] = value;
+        });
+    }
+    return signature;
+}
+
+function getBandKeys(signature) {
+    const keys = [];
+    for (let band = 0; band < LSH_BANDS; band++) {
+        keys.push(`${band}:${signature.slice(band * LSH_ROWS, (band + 1) * LSH_ROWS).join(',')}`);
+    }
+    return keys;
+}
+
+function tokenJaccard(a, b) {
+    if (!a.length || !b.length) return 0;
+    const setA = new Set(a);
+    const setB = new Set(b);
+    let shared = 0;
+    for (const token of setA) if (setB.has(token)) shared += 1;
+    return shared / (setA.size + setB.size - shared);
+}
+
+function signatureSimilarity(a, b) {
+    let equal = 0;
+    for (let index = 0; index < MINHASH_SIZE; index++) if (a[index] === b[index]) equal += 1;
+    return equal / MINHASH_SIZE;
+}
+
+// Weighted similarity; without two description signatures the metadata weights are scaled up to 1.
+function scorePair(entry, candidate) {
+    let score =
+        WEIGHTS.title * tokenJaccard(entry.titleTokens, candidate.titleTokens) +
+        WEIGHTS.company * (entry.company && entry.company === candidate.company ? 1 : 0) +
+        WEIGHTS.location * (entry.location && entry.location === candidate.location ? 1 : 0);
+
+    if (entry.signature && candidate.signature) {
+        score += WEIGHTS.description * signatureSimilarity(entry.signature, candidate.signature);
+    } else {
+        score /= 1 - WEIGHTS.description;
+    }
+    return Math.round(score * 1000) / 1000;
+}
+
+function addToIndex(map, key, id) {
+    const ids = map.get(key);
+    if (ids) ids.push(id);
+    else map.set(key, [id]);
+}
+
+function indexEntry(entry) {
+    duplicateState.entries.set(entry.id, entry);
+    if (entry.exactKey) addToIndex(duplicateState.exactKeys, entry.exactKey, entry.id);
+    if (entry.signature) {
+        for (const bandKey of getBandKeys(entry.signature)) addToIndex(duplicateState.bands, bandKey, entry.id);
+    }
+}
+
+function findBestMatch(entry) {
+    const candidateIds = new Set(duplicateState.exactKeys.get(entry.exactKey) || []);
+    if (entry.signature) {
+        for (const bandKey of getBandKeys(entry.signature)) {
+            for (const id of duplicateState.bands.get(bandKey) || []) candidateIds.add(id);
+        }
+    }
+
+    let best = null;
+    for (const id of candidateIds) {
+        const score = scorePair(entry, duplicateState.entries.get(id));
+        if (score >= duplicateState.threshold && (!best || score > best.score)) best = { id, score };
+    }
+    return best;
+}
+
+export function configureNearDuplicates({ nearDuplicateMode, nearDuplicateThreshold }) {
+    const mode =
+        typeof nearDuplicateMode === 'string' && nearDuplicateMode.trim()
+            ? nearDuplicateMode.trim().toLowerCase()
+            : 'off';
+    if (!NEAR_DUPLICATE_MODES.includes(mode)) {
+        throw new Error(
+            `Invalid nearDuplicateMode "${nearDuplicateMode}". Use one of: ${NEAR_DUPLICATE_MODES.join(', ')}.`,
+        );
+    }
+
+    let threshold = DEFAULT_THRESHOLD;
+    if (nearDuplicateThreshold !== undefined && nearDuplicateThreshold !== null && nearDuplicateThreshold !== '') {
+        threshold = Number(nearDuplicateThreshold);
+        if (!Number.isFinite(threshold) || threshold < 0.5 || threshold > 1) {
+            throw new Error(
+                `Invalid nearDuplicateThreshold "${nearDuplicateThreshold}". Use a number between 0.5 and 1.`,
+            );
+        }
+    }
+
+    duplicateState.mode = mode;
+    duplicateState.threshold = threshold;
+    return mode;
+}
+
+/**
+ * Compares each record with the listings kept earlier in the run. In `mark` mode every record gets
+ * `duplicateOf` (the earlier listing's listingKey or URL) and `duplicateScore`, both null for originals;
+ * in `drop` mode near-duplicates are left out. Duplicates are never indexed themselves, so a chain of
+ * reposts always points at the first listing.
+ */
+export function applyNearDuplicates(records) {
+    if (duplicateState.mode === 'off') return records;
+
+    const kept = [];
+    for (const record of records) {
+        duplicateState.counts.checked += 1;
+        const company = getCompanyMatchKey(record.companyCanonicalName || record.company);
+        const titleTokens = normalizeTitleTokens(record.title);
+        const entry = {
+            id:
+                record.listingKey ||
+                record.url ||
+                record.jobId ||
+                `${record.title}|${record.company}|${record.location}`,
+            titleTokens,
+            company,
+            location: normalizeLocation(record.location),
+            signature: buildSignature(record.description_text),
+            exactKey: company && titleTokens.length ? `${company}|${titleTokens.join(' ')}` : '',
+        };
+
+        const match = findBestMatch(entry);
+        if (match) {
+            duplicateState.counts.duplicates += 1;
+            if (duplicateState.mode === 'mark')
+                kept.push({ ...record, duplicateOf: match.id, duplicateScore: match.score });
+            continue;
+        }
+
+        indexEntry(entry);
+        duplicateState.unsavedEntries.push(entry);
+        kept.push(duplicateState.mode === 'mark' ? { ...record, duplicateOf: null, duplicateScore: null } : record);
+    }
+    return kept;
+}
+
+export function getNearDuplicateStats() {
+    return {
+        mode: duplicateState.mode,
+        threshold: duplicateState.threshold,
+        ...duplicateState.counts,
+    };
+}
+
+// Running counts for the run checkpoint; the indexed entries go to the checkpoint journal.
+export function getNearDuplicateSnapshot() {
+    return duplicateState.counts;
+}
+
+export function restoreNearDuplicateSnapshot(counts) {
+    if (counts) Object.assign(duplicateState.counts, counts);
+}
+
+// Entries indexed since the previous call, for the run checkpoint journal.
+export function takeNearDuplicateJournal() {
+    if (!duplicateState.unsavedEntries.length) return null;
+    const entries = duplicateState.unsavedEntries;
+    duplicateState.unsavedEntries = [];
+    return entries;
+}
+
+export function restoreNearDuplicateJournal(entries = []) {
+    for (const entry of entries) indexEntry(entry);
+}
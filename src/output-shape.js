@@ -0,0 +1,116 @@
+export const OUTPUT_SHAPES = ['flat', 'nested'];
+
+// Nested group member -> flat record field. The same table drives both directions.
+const NESTED_GROUPS = {
+    salary: {
+        text: 'salary',
+        min: 'salaryMin',
+        max: 'salaryMax',
+        minAnnual: 'salaryMinAnnual',
+        maxAnnual: 'salaryMaxAnnual',
+        interval: 'salaryInterval',
+        currency: 'salaryCurrency',
+        source: 'salarySource',
+        annualMin: 'salaryAnnualMin',
+        annualMax: 'salaryAnnualMax',
+        hourlyMin: 'salaryHourlyMin',
+        hourlyMax: 'salaryHourlyMax',
+        annualIsDerived: 'salaryAnnualIsDerived',
+        hourlyIsDerived: 'salaryHourlyIsDerived',
+    },
+    location: {
+        name: 'location',
+        url: 'locationUrl',
+        city: 'locationCity',
+        state: 'locationState',
+        stateCode: 'locationStateCode',
+        country: 'locationCountry',
+        countryCode: 'locationCountryCode',
+        types: 'locationTypes',
+        isRemote: 'isRemote',
+        latitude: 'latitude',
+        longitude: 'longitude',
+        county: 'county',
+        metroArea: 'metroArea',
+        metroCode: 'locationMetroCode',
+        timezone: 'timezone',
+        geoScope: 'geoScope',
+    },
+    company: {
+        name: 'company',
+        canonicalName: 'companyCanonicalName',
+        normalized: 'companyNormalized',
+        isStaffingAgency: 'isStaffingAgency',
+        staffingAgencySignal: 'staffingAgencySignal',
+        id: 'companyId',
+        url: 'companyUrl',
+        logoUrl: 'companyLogoUrl',
+    },
+    apply: {
+        url: 'externalApplyUrl',
+        buttonType: 'applyButtonType',
+        destination: 'applyDestination',
+    },
+};
+
+const GROUP_BY_FLAT_FIELD = new Map(
+    Object.entries(NESTED_GROUPS).flatMap(([group, members]) =>
+        Object.values(members).map((flatField) => [flatField, group]),
+    ),
+);
+
+// Flat-only conveniences that repeat a typed array as a comma string.
+const FLAT_ONLY_FIELDS = ['locationType', 'jobType'];
+
+export function normalizeOutputShape(value) {
+    const shape = typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : 'flat';
+    if (!OUTPUT_SHAPES.includes(shape)) {
+        throw new Error(`Invalid outputShape "${value}". Use one of: ${OUTPUT_SHAPES.join(', ')}.`);
+    }
+    return shape;
+}
+
+/**
+ * Regroups a normalized record into `salary{}`, `location{}`, `company{}` and `apply{}` objects.
+ * Fields that belong to no group stay at the top level unchanged.
+ */
+export function toNestedRecord(record) {
+    const nested = {};
+    for (const key of Object.keys(record)) {
+        const group = GROUP_BY_FLAT_FIELD.get(key);
+        if (group) {
+            // Each group takes the position of its first member so the key order stays familiar.
+            if (!nested[group]) {
+                nested[group] = Object.fromEntries(
+                    Object.entries(NESTED_GROUPS[group]).map(([member, flatField]) => [member, record[flatField]]),
+                );
+            }
+        } else if (!FLAT_ONLY_FIELDS.includes(key)) {
+            nested[key] = record[key];
+        }
+    }
+
+    return nested;
+}
+
+/**
+ * Reverses {@link toNestedRecord}. Flat records pass through untouched, so callers do not need to know
+ * which shape a dataset was written in.
+ */
+export function toFlatRecord(record) {
+    const isNested = Object.keys(NESTED_GROUPS).some((group) => record?.[group] && typeof record[group] === 'object');
+    if (!isNested) return record;
+
+    const flat = { ...record };
+    for (const [group, members] of Object.entries(NESTED_GROUPS)) {
+        const groupValue = record[group] && typeof record[group] === 'object' ? record[group] : {};
+        delete flat[group];
+        for (const [member, flatField] of Object.entries(members)) {
+            if (groupValue[member] !== undefined) flat[flatField] = groupValue[member];
+        }
+    }
+
+    if (Array.isArray(flat.employmentTypes)) flat.jobType = flat.employmentTypes.join(', ');
+    if (Array.isArray(flat.locationTypes)) flat.locationType = flat.locationTypes.join(', ');
+    return flat;
+}
@@ -0,0 +1,104 @@
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+import { Actor, log } from 'apify';
+
+// Records when the pages were captured, so a replay measures posting age from the capture date.
+const MANIFEST_KEY = 'MANIFEST';
+
+// Key-value store keys allow only a limited character set; everything else is folded to "_".
+export function toStoreKey(value) {
+    return String(value)
+        .replace(/[^a-zA-Z0-9!\-_.'()]/g, '_')
+        .slice(0, 250);
+}
+
+export function getSearchPageKey(searchId, pageNum) {
+    return toStoreKey(`page-${searchId}-${pageNum}`);
+}
+
+export function getJobDetailsKey(listingKey) {
+    return toStoreKey(`detail-${listingKey}`);
+}
+
+/**
+ * Saves every downloaded search page and GetJobDetails payload so the run can be replayed offline.
+ * Locally the store is written to `storage/key_value_stores/<name>` as `<key>.html` / `<key>.json`,
+ * which is the same layout the directory reader expects. The MANIFEST record holds the capture time.
+ */
+export async function openRawPageWriter(storeName) {
+    const store = await Actor.openKeyValueStore(storeName);
+    await store.setValue(MANIFEST_KEY, { capturedAt: new Date().toISOString() });
+    let savedPages = 0;
+    let savedDetails = 0;
+
+    return {
+        storeName,
+
+        async saveSearchPage(searchId, pageNum, html) {
+            if (!html) return;
+            await store.setValue(getSearchPageKey(searchId, pageNum), html, {
+                contentType: 'text/html; charset=utf-8',
+            });
+            savedPages += 1;
+        },
+
+        async saveJobDetails(detailsByListing) {
+            for (const [listingKey, jobDetails] of detailsByListing) {
+                await store.setValue(getJobDetailsKey(listingKey), { jobDetails });
+                savedDetails += 1;
+            }
+        },
+
+        getCounts() {
+            return { savedPages, savedDetails };
+        },
+    };
+}
+
+async function readTextFile(path) {
+    try {
+        return await readFile(path, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Capture time in epoch milliseconds, or null for captures made before the manifest existed.
+function getCapturedAt(manifest) {
+    const capturedAt = Date.parse(manifest?.capturedAt || '');
+    return Number.isNaN(capturedAt) ? null : capturedAt;
+}
+
+/**
+ * Reads captured pages either from a local directory (`<key>.html` / `<key>.json` files)
+ * or from a named key-value store written by {@link openRawPageWriter}.
+ */
+export async function openRawPageReader({ directory, storeName }) {
+    if (directory) {
+        log.info(`Replaying captured pages from directory "${directory}"`);
+        const manifest = await readTextFile(join(directory, `${MANIFEST_KEY}.json`));
+        return {
+            capturedAt: getCapturedAt(manifest ? JSON.parse(manifest) : null),
+            readSearchPage: (searchId, pageNum) =>
+                readTextFile(join(directory, `${getSearchPageKey(searchId, pageNum)}.html`)),
+            async readJobDetails(listingKey) {
+                const content = await readTextFile(join(directory, `${getJobDetailsKey(listingKey)}.json`));
+                return content ? JSON.parse(content) : null;
+            },
+        };
+    }
+
+    const store = await Actor.openKeyValueStore(storeName);
+    log.info(`Replaying captured pages from key-value store "${storeName}"`);
+    return {
+        capturedAt: getCapturedAt(await store.getValue(MANIFEST_KEY)),
+        async readSearchPage(searchId, pageNum) {
+            const value = await store.getValue(getSearchPageKey(searchId, pageNum));
+            if (value === null || value === undefined) return null;
+            return Buffer.isBuffer(value) ? value.toString('utf8') : String(value);
+        },
+        readJobDetails: (listingKey) => store.getValue(getJobDetailsKey(listingKey)),
+    };
+}
@@ -0,0 +1,265 @@
+import { Actor, log } from 'apify';
+
+import { decodeHtmlEntities } from './html-text.js';
+import { toFlatRecord } from './output-shape.js';
+
+// Fields recheck mode adds on top of normalized job records.
+export const RECHECK_RECORD_FIELDS = ['recheckStatus', 'recheckMethod', 'changedFields'];
+
+// Snapshot fields compared with the fresh record. A field the snapshot does not have is never reported.
+const COMPARED_FIELDS = [
+    'isActive',
+    'title',
+    'company',
+    'location',
+    'isRemote',
+    'jobType',
+    'salary',
+    'salaryMin',
+    'salaryMax',
+    'salaryInterval',
+    'salaryCurrency',
+    'externalApplyUrl',
+];
+
+// Identity fields carried over from the snapshot when a listing has no fresh data.
+const SNAPSHOT_RECORD_FIELDS = ['title', 'company', 'location', 'url', 'listingKey', 'matchId', 'jobId'];
+
+// Record fields built from employment and location types. GetJobDetails has neither, and a job page
+// only has them when its JSON-LD says so; without them these fields would read "Not specified" and false.
+const EMPLOYMENT_TYPE_FIELDS = ['employmentTypes', 'jobType'];
+const LOCATION_TYPE_FIELDS = ['locationTypes', 'locationType', 'isRemote'];
+
+const PAY_INTERVAL_BY_UNIT = {
+    HOUR: 'hourly',
+    DAY: 'daily',
+    WEEK: 'weekly',
+    MONTH: 'monthly',
+    YEAR: 'annually',
+};
+
+const CLOSED_PAGE_REGEX =
+    /no longer (?:available|accepting applications)|job (?:has )?expired|position has been filled|this job (?:is )?closed/i;
+
+export function getListingKeyFromUrl(url) {
+    try {
+        return new URL(url).searchParams.get('jid') || '';
+    } catch {
+        return '';
+    }
+}
+
+function toTarget(entry, source) {
+    const raw = typeof entry === 'string' ? { url: entry } : entry;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error(`${source} must be a job URL or an object with url or listingKey and matchId.`);
+    }
+
+    const snapshot = toFlatRecord(raw);
+    const url = typeof snapshot.url === 'string' ? snapshot.url.trim() : '';
+    const listingKey = String(snapshot.listingKey || getListingKeyFromUrl(url) || '').trim();
+    const matchId = String(snapshot.matchId || '').trim();
+
+    if (!url && !(listingKey && matchId)) {
+        throw new Error(`${source} needs a url or both listingKey and matchId.`);
+    }
+    if (url && !/^https?:\/\//i.test(url)) {
+        throw new Error(`${source} has an invalid url "${url}".`);
+    }
+
+    return {
+        url,
+        listingKey,
+        matchId,
+        placementId: Number(snapshot.placementId) || null,
+        impressionLotId: typeof snapshot.impressionLotId === 'string' ? snapshot.impressionLotId : '',
+        snapshot: typeof entry === 'string' ? {} : snapshot,
+    };
+}
+
+/**
+ * Builds the list of listings to recheck from `recheckJobs` (job URLs, or snapshot objects with
+ * `listingKey`/`matchId`) and from the records of an earlier run's dataset. Closed-listing records
+ * are skipped and repeated listings are checked once, keeping the first snapshot.
+ */
+export async function loadRecheckTargets({ recheckJobs, recheckDatasetId }) {
+    if (recheckJobs !== undefined && recheckJobs !== null && !Array.isArray(recheckJobs)) {
+        throw new Error('recheckJobs must be an array of job URLs or objects.');
+    }
+
+    const targets = (recheckJobs || []).map((entry, index) => toTarget(entry, `recheckJobs[${index}]`));
+
+    const datasetId = typeof recheckDatasetId === 'string' ? recheckDatasetId.trim() : '';
+    if (datasetId) {
+        const dataset = await Actor.openDataset(datasetId);
+        let index = 0;
+        await dataset.forEach((item) => {
+            if (item?.recordType !== 'closed') targets.push(toTarget(item, `Dataset ${datasetId} item ${index}`));
+            index += 1;
+        });
+        log.info(`Loaded ${index} records to recheck from dataset ${datasetId}`);
+    }
+
+    const unique = new Map();
+    for (const target of targets) {
+        const key = target.listingKey || target.url;
+        if (!unique.has(key)) unique.set(key, target);
+    }
+
+    if (!unique.size) {
+        throw new Error('Recheck mode needs recheckJobs or recheckDatasetId with at least one listing.');
+    }
+    return [...unique.values()];
+}
+
+function findJobPosting(value) {
+    if (Array.isArray(value)) {
+        for (const item of value) {
+            const found = findJobPosting(item);
+            if (found) return found;
+        }
+        return null;
+    }
+    if (!value || typeof value !== 'object') return null;
+    if ([value['@type']].flat().includes('JobPosting')) return value;
+    return value['@graph'] ? findJobPosting(value['@graph']) : null;
+}
+
+// schema.org employmentType values map onto the card enum, e.g. FULL_TIME to EMPLOYMENT_TYPE_NAME_FULL_TIME.
+function toTypedNames(values, prefix) {
+    return [values]
+        .flat()
+        .filter((value) => typeof value === 'string' && value.trim())
+        .map((value) => ({
+            name: `${prefix}${value
+                .trim()
+                .toUpperCase()
+                .replace(/[\s-]+/g, '_')}`,
+        }));
+}
+
+function toNumberOrUndefined(value) {
+    const number = typeof value === 'string' ? Number(value.replace(/[^0-9.]/g, '')) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Reads the schema.org JobPosting a job page embeds for search engines and maps it onto the
+ * GetJobDetails `jobDetails` shape, so the normal record normalizer can be reused.
+ */
+export function extractJobPostingDetails(html) {
+    const scripts = String(html || '').matchAll(
+        /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi,
+    );
+    let posting = null;
+    for (const [, body] of scripts) {
+        try {
+            posting = findJobPosting(JSON.parse(body.trim()));
+        } catch {
+            // Ignore malformed blocks; pages often carry several.
+        }
+        if (posting) break;
+    }
+    if (!posting) return null;
+
+    const salary =
+        posting.baseSalary?.value && typeof posting.baseSalary.value === 'object' ? posting.baseSalary.value : {};
+    const address = [posting.jobLocation].flat()[0]?.address || {};
+    const city = address.addressLocality || '';
+    const region = address.addressRegion || '';
+    const validThrough = Date.parse(posting.validThrough || '');
+
+    return {
+        title: decodeHtmlEntities(posting.title || ''),
+        htmlFullDescription: posting.description || '',
+        pay: {
+            min: toNumberOrUndefined(salary.minValue ?? salary.value),
+            max: toNumberOrUndefined(salary.maxValue),
+            interval: PAY_INTERVAL_BY_UNIT[String(salary.unitText || '').toUpperCase()] || '',
+            currency: posting.baseSalary?.currency || 'USD',
+        },
+        company: { name: decodeHtmlEntities(posting.hiringOrganization?.name || '') },
+        companyUrl: posting.hiringOrganization?.sameAs || '',
+        location: {
+            displayName: [city, region].filter(Boolean).join(', '),
+            city,
+            state: region,
+            country:
+                typeof address.addressCountry === 'string'
+                    ? address.addressCountry
+                    : address.addressCountry?.name || '',
+        },
+        status: {
+            postedAtUtc: posting.datePosted || '',
+            isActive: Number.isFinite(validThrough) ? validThrough > Date.now() : undefined,
+        },
+        employmentTypes: posting.employmentType
+            ? toTypedNames(posting.employmentType, 'EMPLOYMENT_TYPE_NAME_')
+            : undefined,
+        // TELECOMMUTE is the only location type schema.org defines.
+        locationTypes: posting.jobLocationType
+            ? toTypedNames(posting.jobLocationType === 'TELECOMMUTE' ? 'REMOTE' : [], 'LOCATION_TYPE_NAME_')
+            : undefined,
+    };
+}
+
+/**
+ * Replaces the employment and location type fields the fresh job data could not provide with the
+ * snapshot's values, or drops them when the snapshot has none, so they are never reported as changed.
+ */
+export function fillUnavailableFields(record, detail, snapshot) {
+    const filled = { ...record };
+    const missing = [
+        ...(detail?.employmentTypes ? [] : EMPLOYMENT_TYPE_FIELDS),
+        ...(detail?.locationTypes ? [] : LOCATION_TYPE_FIELDS),
+    ];
+    for (const field of missing) {
+        if (snapshot[field] === undefined) delete filled[field];
+        else filled[field] = snapshot[field];
+    }
+    return filled;
+}
+
+export function isClosedJobPage(status, html) {
+    return status === 404 || status === 410 || CLOSED_PAGE_REGEX.test(html || '');
+}
+
+function comparableValue(value) {
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'string') return value.trim();
+    return value ?? null;
+}
+
+/**
+ * Lists the compared fields whose value differs between the supplied snapshot and the fresh record.
+ * A snapshot without `isActive` is taken as an open listing, since it was scraped while live.
+ */
+export function diffAgainstSnapshot(snapshot, record) {
+    return COMPARED_FIELDS.filter((field) => {
+        const before = field === 'isActive' ? (snapshot.isActive ?? true) : snapshot[field];
+        if (before === undefined || before === null || before === '') return false;
+        return comparableValue(before) !== comparableValue(record[field]);
+    });
+}
+
+/**
+ * Builds the record for a listing that has no fresh job data: `closed` listings get `isActive: false`,
+ * `unknown` ones (blocked or unparseable responses) only repeat the snapshot's identity fields.
+ */
+export function buildSnapshotRecheckRecord(target, recheckStatus, recheckMethod) {
+    const record = {};
+    for (const field of SNAPSHOT_RECORD_FIELDS) {
+        if (target.snapshot[field] !== undefined) record[field] = target.snapshot[field];
+    }
+    record.url ||= target.url || undefined;
+    record.listingKey ||= target.listingKey;
+    if (recheckStatus === 'closed') record.isActive = false;
+
+    return {
+        ...record,
+        recheckStatus,
+        recheckMethod,
+        changedFields: recheckStatus === 'closed' && target.snapshot.isActive !== false ? ['isActive'] : [],
+        scrapedAt: new Date().toISOString(),
+    };
+}
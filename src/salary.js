@@ -0,0 +1,212 @@
+// Conversion assumptions: a 40-hour week, 52 weeks, 8-hour days and 260 working days per year.
+export const HOURS_PER_YEAR = 2080;
+
+const PERIODS_PER_YEAR = {
+    hourly: HOURS_PER_YEAR,
+    hour: HOURS_PER_YEAR,
+    daily: 260,
+    day: 260,
+    weekly: 52,
+    week: 52,
+    biweekly: 26,
+    semimonthly: 24,
+    monthly: 12,
+    month: 12,
+    annually: 1,
+    annual: 1,
+    yearly: 1,
+    year: 1,
+};
+
+function toNumberOrNull(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+function roundTo(value, digits) {
+    if (value === null) return null;
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+export function getPeriodsPerYear(interval) {
+    return (
+        PERIODS_PER_YEAR[
+            String(interval || '')
+                .toLowerCase()
+                .replace(/[^a-z]/g, '')
+        ] || null
+    );
+}
+
+/**
+ * Adds annual and hourly equivalents to the salary fields produced by formatSalary.
+ * Annual values reported by ZipRecruiter (minAnnual/maxAnnual) or quoted per year count as provided,
+ * hourly values count as provided only for hourly pay; everything else is derived from the interval.
+ */
+export function computeSalaryEquivalents(salaryInfo) {
+    const min = toNumberOrNull(salaryInfo.salaryMin);
+    const max = toNumberOrNull(salaryInfo.salaryMax);
+    const periodsPerYear = getPeriodsPerYear(salaryInfo.salaryInterval);
+
+    let annualMin = toNumberOrNull(salaryInfo.salaryMinAnnual);
+    let annualMax = toNumberOrNull(salaryInfo.salaryMaxAnnual);
+    let annualDerived = false;
+
+    if (annualMin === null && annualMax === null && periodsPerYear) {
+        annualMin = min === null ? null : min * periodsPerYear;
+        annualMax = max === null ? null : max * periodsPerYear;
+        annualDerived = periodsPerYear !== 1;
+    }
+
+    let hourlyMin = null;
+    let hourlyMax = null;
+    let hourlyDerived = true;
+
+    if (periodsPerYear === HOURS_PER_YEAR) {
+        hourlyMin = min;
+        hourlyMax = max;
+        hourlyDerived = false;
+    } else {
+        hourlyMin = annualMin === null ? null : annualMin / HOURS_PER_YEAR;
+        hourlyMax = annualMax === null ? null : annualMax / HOURS_PER_YEAR;
+    }
+
+    const hasAnnual = annualMin !== null || annualMax !== null;
+    const hasHourly = hourlyMin !== null || hourlyMax !== null;
+
+    return {
+        salaryAnnualMin: roundTo(annualMin, 0),
+        salaryAnnualMax: roundTo(annualMax, 0),
+        salaryHourlyMin: roundTo(hourlyMin, 2),
+        salaryHourlyMax: roundTo(hourlyMax, 2),
+        salaryAnnualIsDerived: hasAnnual ? annualDerived : null,
+        salaryHourlyIsDerived: hasHourly ? hourlyDerived : null,
+    };
+}
+
+/**
+ * Checks a record against the annual salary filters. Ranges only have to overlap the requested window;
+ * records without any salary pass unless requireSalary is set.
+ */
+export function matchesSalaryFilter(record, { minSalary = null, maxSalary = null, requireSalary = false }) {
+    const low = record.salaryAnnualMin ?? record.salaryAnnualMax ?? null;
+    const high = record.salaryAnnualMax ?? record.salaryAnnualMin ?? null;
+
+    if (low === null) return !requireSalary;
+    if (minSalary !== null && high < minSalary) return false;
+    if (maxSalary !== null && low > maxSalary) return false;
+    return true;
+}
+
+const CURRENCY_SYMBOLS = {
+    $: 'USD',
+    '£': 'GBP',
+    '€': 'EUR',
+};
+
+const TEXT_INTERVAL_PATTERNS = [
+    ['hourly', /^\s*(?:\/\s*(?:hr|hour)\b|per\s+hour\b|an?\s+hour\b|hourly\b|ph\b)/i],
+    ['daily', /^\s*(?:\/\s*day\b|per\s+day\b|a\s+day\b|daily\b)/i],
+    ['weekly', /^\s*(?:\/\s*(?:wk|week)\b|per\s+week\b|a\s+week\b|weekly\b)/i],
+    ['monthly', /^\s*(?:\/\s*(?:mo|month)\b|per\s+month\b|a\s+month\b|monthly\b)/i],
+    [
+        'annually',
+        /^\s*(?:\/\s*(?:yr|year|annum)\b|per\s+(?:year|annum)\b|a\s+year\b|annually\b|annual\b|yearly\b|p\.?a\.?\b|ote\b)/i,
+    ],
+];
+
+// Plausible ranges keep phone numbers, headcounts and years from being read as pay.
+const PLAUSIBLE_RANGES = {
+    hourly: [7, 500],
+    daily: [50, 5000],
+    weekly: [200, 20000],
+    monthly: [800, 100000],
+    annually: [10000, 2000000],
+};
+
+const AMOUNT_SOURCE = String.raw`(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)\s*([kK])?`;
+const CURRENCY_SOURCE = String.raw`(?:([$£€])|\b(USD|CAD|GBP|EUR)\s*)`;
+const SALARY_TEXT_REGEX = new RegExp(
+    String.raw`(?:(up\s+to|max(?:imum)?\s+of)\s+)?${CURRENCY_SOURCE}?${AMOUNT_SOURCE}` +
+        String.raw`(?:\s*(?:-|–|—|to)\s*${CURRENCY_SOURCE}?${AMOUNT_SOURCE})?`,
+    'gi',
+);
+const PAY_CONTEXT_REGEX = /\b(salary|pay|compensation|wage|rate|ote|base|earn|up\s+to|doe)\b/i;
+// Retirement plans such as "401k" or "457(b)" look like thousands amounts and sit next to pay keywords.
+const RETIREMENT_PLAN_REGEX = /\b(?:401|403|457)\s*\(?\s*[kb]\s*\)?(?![\p{L}\p{N}])/giu;
+// Company size, revenue and funding figures such as "$20 million" or "$30B in assets".
+const LARGE_SCALE_REGEX = /^\s*(?:million|billion|trillion|mm|mn|bn|[mb])(?![\p{L}\p{N}-])/iu;
+
+function parseAmount(digits, thousandsSuffix) {
+    if (!digits) return null;
+    const value = Number(digits.replace(/,/g, ''));
+    if (!Number.isFinite(value)) return null;
+    return thousandsSuffix ? value * 1000 : value;
+}
+
+function findExplicitInterval(trailingText) {
+    const found = TEXT_INTERVAL_PATTERNS.find(([, pattern]) => pattern.test(trailingText));
+    return found ? found[0] : '';
+}
+
+function detectTextInterval(trailingText, amount) {
+    const explicit = findExplicitInterval(trailingText);
+    if (explicit) return explicit;
+
+    // Without an explicit unit only annual magnitudes are accepted; "$20" alone could be anything.
+    return amount >= 10000 ? 'annually' : '';
+}
+
+/**
+ * Finds the first plausible pay range in free text, e.g. "$25 - $32 per hour", "up to 120K DOE",
+ * "£45,000 per annum" or "$150K OTE". Amounts without a currency sign are only accepted with a
+ * "k" suffix and a pay keyword nearby. Retirement plans like "401(k)" and figures in millions or
+ * billions are never read as pay. Returns null when nothing trustworthy is found.
+ */
+export function extractSalaryFromText(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    // Blanking keeps the match indexes aligned with the original text.
+    const searchText = text.replace(RETIREMENT_PLAN_REGEX, (plan) => ' '.repeat(plan.length));
+    for (const match of searchText.matchAll(SALARY_TEXT_REGEX)) {
+        const [fullMatch, upTo, symbol, code, minDigits, minK, symbolTo, codeTo, maxDigits, maxK] = match;
+        const hasCurrency = Boolean(symbol || code || symbolTo || codeTo);
+        const hasThousands = Boolean(minK || maxK);
+
+        const trailingText = searchText.slice(match.index + fullMatch.length, match.index + fullMatch.length + 20);
+        if (LARGE_SCALE_REGEX.test(trailingText)) continue;
+        if (!hasCurrency) {
+            const context = searchText.slice(Math.max(match.index - 40, 0), match.index + fullMatch.length + 20);
+            if (!hasThousands || !PAY_CONTEXT_REGEX.test(context)) continue;
+        }
+
+        // "80-100k" shares the suffix of the upper bound.
+        let low = parseAmount(minDigits, minK || (maxK && !minK && maxDigits ? maxK : ''));
+        let high = parseAmount(maxDigits, maxK);
+        if (upTo && high === null) {
+            high = low;
+            low = null;
+        }
+
+        const reference = high ?? low;
+        if (reference === null) continue;
+        if (low !== null && high !== null && low > high) continue;
+
+        const interval = detectTextInterval(trailingText, reference);
+        if (!interval) continue;
+
+        const [floor, ceiling] = PLAUSIBLE_RANGES[interval];
+        if ((low !== null && (low < floor || low > ceiling)) || (high !== null && (high < floor || high > ceiling)))
+            continue;
+
+        const currencyCode = CURRENCY_SYMBOLS[symbol || symbolTo] || (code || codeTo || 'USD').toUpperCase();
+        return {
+            min: low,
+            max: high,
+            interval,
+            currency: currencyCode,
+        };
+    }
+
+    return null;
+}
@@ -0,0 +1,116 @@
+// Search filter inputs and the jobs-search query parameters ZipRecruiter's own filter controls set.
+const FILTER_PARAMS = {
+    radius: 'radius',
+    employmentTypes: 'refine_by_employment',
+    workplaceType: 'refine_by_location_type',
+    searchMinSalary: 'refine_by_salary',
+    companyName: 'refine_by_org_name',
+    experienceLevel: 'refine_by_experience_level',
+};
+
+const RADIUS_MILES = [5, 10, 25, 50, 100];
+
+const EMPLOYMENT_TYPE_VALUES = {
+    full_time: 'employment_type:full_time',
+    part_time: 'employment_type:part_time',
+    contract: 'employment_type:contract',
+    temporary: 'employment_type:temporary',
+    internship: 'employment_type:internship',
+};
+
+const WORKPLACE_TYPE_VALUES = {
+    remote: 'only_remote',
+    hybrid: 'hybrid',
+    onsite: 'no_remote',
+};
+
+const EXPERIENCE_LEVEL_VALUES = {
+    entry: 'entry_level',
+    mid: 'mid_level',
+    senior: 'senior_level',
+    executive: 'executive',
+};
+
+function readEnumValue(value, allowed, inputName) {
+    if (value === undefined || value === null || value === '' || value === 'any') return null;
+    const normalized = String(value)
+        .trim()
+        .toLowerCase()
+        .replace(/[\s-]+/g, '_');
+    if (!allowed.includes(normalized)) {
+        throw new Error(`Invalid ${inputName} "${value}". Use one of: ${allowed.join(', ')}.`);
+    }
+    return normalized;
+}
+
+/**
+ * Validates the search filter inputs. Every filter is optional; an absent filter leaves the
+ * corresponding query parameter of a searchUrl untouched.
+ */
+export function normalizeSearchFilters(input) {
+    const filters = {};
+
+    if (input.radius !== undefined && input.radius !== null && input.radius !== '' && input.radius !== 'any') {
+        const radius = Number(input.radius);
+        if (!RADIUS_MILES.includes(radius)) {
+            throw new Error(`Invalid radius "${input.radius}". Use one of: ${RADIUS_MILES.join(', ')} (miles).`);
+        }
+        filters.radius = radius;
+    }
+
+    if (input.employmentTypes !== undefined && input.employmentTypes !== null) {
+        if (!Array.isArray(input.employmentTypes)) throw new Error('employmentTypes must be an array.');
+        const types = input.employmentTypes.map((type) =>
+            readEnumValue(type, Object.keys(EMPLOYMENT_TYPE_VALUES), 'employmentTypes value'),
+        );
+        if (types.some(Boolean)) filters.employmentTypes = [...new Set(types.filter(Boolean))];
+    }
+
+    const workplaceType = readEnumValue(input.workplaceType, Object.keys(WORKPLACE_TYPE_VALUES), 'workplaceType');
+    if (workplaceType) filters.workplaceType = workplaceType;
+
+    if (input.searchMinSalary !== undefined && input.searchMinSalary !== null && input.searchMinSalary !== '') {
+        const salary = Number(input.searchMinSalary);
+        if (!Number.isInteger(salary) || salary <= 0) {
+            throw new Error(
+                `Invalid searchMinSalary "${input.searchMinSalary}". Use a positive whole number of dollars per year.`,
+            );
+        }
+        filters.searchMinSalary = salary;
+    }
+
+    const companyName = typeof input.companyName === 'string' ? input.companyName.trim() : '';
+    if (companyName) filters.companyName = companyName;
+
+    const experienceLevel = readEnumValue(
+        input.experienceLevel,
+        Object.keys(EXPERIENCE_LEVEL_VALUES),
+        'experienceLevel',
+    );
+    if (experienceLevel) filters.experienceLevel = experienceLevel;
+
+    return filters;
+}
+
+/**
+ * Writes the filters onto a jobs-search URL. Explicit filters replace the same parameter of a
+ * user-supplied searchUrl; parameters the filters do not cover are kept as they are.
+ */
+export function applySearchFilters(url, filters) {
+    const { searchParams } = url;
+
+    if (filters.radius) searchParams.set(FILTER_PARAMS.radius, String(filters.radius));
+    if (filters.employmentTypes) {
+        searchParams.delete(FILTER_PARAMS.employmentTypes);
+        for (const type of filters.employmentTypes)
+            searchParams.append(FILTER_PARAMS.employmentTypes, EMPLOYMENT_TYPE_VALUES[type]);
+    }
+    if (filters.workplaceType)
+        searchParams.set(FILTER_PARAMS.workplaceType, WORKPLACE_TYPE_VALUES[filters.workplaceType]);
+    if (filters.searchMinSalary) searchParams.set(FILTER_PARAMS.searchMinSalary, String(filters.searchMinSalary));
+    if (filters.companyName) searchParams.set(FILTER_PARAMS.companyName, filters.companyName);
+    if (filters.experienceLevel)
+        searchParams.set(FILTER_PARAMS.experienceLevel, EXPERIENCE_LEVEL_VALUES[filters.experienceLevel]);
+
+    return url;
+}
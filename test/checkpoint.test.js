@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+const storageDir = await mkdtemp(join(tmpdir(), 'checkpoint-test-'));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+
+const { Actor } = await import('apify');
+const { enableCheckpoints, loadCheckpoint, saveCheckpoint } = await import('../src/checkpoint.js');
+
+before(() => Actor.init());
+
+after(async () => {
+    await Actor.exit({ exit: false });
+    await rm(storageDir, { recursive: true, force: true });
+});
+
+describe('run checkpoint', () => {
+    it('rewrites the cursor and appends the journal on every save', async () => {
+        const state = { nextPage: 1 };
+        const rows = [];
+        let savedRows = 0;
+        enableCheckpoints(
+            () => ({ searchIds: ['a'], nextPage: state.nextPage }),
+            () => {
+                if (savedRows === rows.length) return null;
+                const added = rows.slice(savedRows);
+                savedRows = rows.length;
+                return { rows: added };
+            },
+        );
+
+        rows.push('job-1', 'job-2');
+        state.nextPage = 2;
+        await saveCheckpoint();
+        await saveCheckpoint();
+        rows.push('job-3');
+        state.nextPage = 3;
+        await saveCheckpoint();
+
+        const checkpoint = await loadCheckpoint(['a']);
+        assert.equal(checkpoint.nextPage, 3);
+        assert.equal(checkpoint.journalParts, 2);
+        assert.deepEqual(
+            checkpoint.journal.flatMap((entry) => entry.rows),
+            ['job-1', 'job-2', 'job-3'],
+        );
+    });
+
+    it('ignores a checkpoint written for other searches', async () => {
+        assert.equal(await loadCheckpoint(['b']), null);
+    });
+});
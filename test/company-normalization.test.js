@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+
+import {
+    classifyStaffingAgency,
+    getCompanyMatchKey,
+    loadStaffingAgencies,
+    normalizeCompanyName,
+} from '../src/company-normalization.js';
+
+before(() => loadStaffingAgencies());
+
+describe('normalizeCompanyName', () => {
+    it('drops legal suffixes', () => {
+        assert.equal(normalizeCompanyName('Acme Inc.'), 'Acme');
+        assert.equal(normalizeCompanyName('ACME, INC'), 'Acme');
+    });
+
+    it('keeps joining words lower-case and short words as acronyms', () => {
+        assert.equal(normalizeCompanyName('BANK OF AMERICA'), 'Bank of America');
+        assert.equal(normalizeCompanyName('THE HOME DEPOT'), 'The Home Depot');
+        assert.equal(normalizeCompanyName('IBM CORP'), 'IBM');
+        assert.equal(normalizeCompanyName('AT&T'), 'AT&T');
+        assert.equal(normalizeCompanyName('H&R BLOCK'), 'H&R Block');
+    });
+
+    it('leaves mixed-case names alone', () => {
+        assert.equal(normalizeCompanyName('eBay Inc.'), 'eBay');
+    });
+
+    it('builds the same match key for spelling variants', () => {
+        assert.equal(getCompanyMatchKey('Procter & Gamble'), getCompanyMatchKey('PROCTER AND GAMBLE'));
+    });
+});
+
+describe('classifyStaffingAgency', () => {
+    const isAgency = (company, description = '') => classifyStaffingAgency(company, description).isStaffingAgency;
+
+    it('matches listed agencies and their country or staffing divisions', () => {
+        assert.equal(isAgency('Robert Half'), true);
+        assert.equal(isAgency('Adecco USA'), true);
+        assert.equal(isAgency('Hudson Global'), true);
+    });
+
+    it('does not match companies that only start with an agency name', () => {
+        assert.equal(isAgency('Hudson Technologies'), false);
+    });
+
+    it('matches agency phrasing in the description', () => {
+        assert.equal(isAgency('Acme', 'Our client is seeking a developer.'), true);
+        assert.equal(isAgency('Acme', 'Our client, a leading bank, needs an analyst.'), true);
+        assert.equal(isAgency('Acme', 'We are recruiting on behalf of our client, a regional bank.'), true);
+        assert.equal(isAgency('Acme', 'We are hiring a nurse on behalf of a healthcare client.'), true);
+    });
+
+    it('does not match ordinary mentions of clients', () => {
+        assert.equal(isAgency('Acme', 'Serve our client base well.'), false);
+        assert.equal(isAgency('Acme', 'Join our client services team.'), false);
+        assert.equal(isAgency('Acme', 'A client-facing role working with our client stakeholders.'), false);
+        assert.equal(isAgency('Acme', 'Work on behalf of our clients to deliver results.'), false);
+        assert.equal(isAgency('Acme', 'Apply on behalf of the customer when filing claims.'), false);
+        assert.equal(isAgency('Acme', 'Negotiate on behalf of our clients in court.'), false);
+    });
+});
@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { normalizeDetailPriority, selectDetailCandidates } from '../src/detail-priority.js';
+
+// Even listing keys have pay on the card, odd ones have none.
+const jobKeys = Array.from({ length: 10 }, (_, index) => ({ listingKey: `job-${index}` }));
+const cardsByListing = Object.fromEntries(
+    jobKeys.map(({ listingKey }, index) => [listingKey, { pay: index % 2 === 0 ? { min: 20 } : {} }]),
+);
+const selectedKeys = (selected) => selected.map((jobKey) => jobKey.listingKey);
+
+describe('selectDetailCandidates', () => {
+    it('gives page_order everything left in the budget', () => {
+        const policy = normalizeDetailPriority('page_order');
+        const selected = selectDetailCandidates(jobKeys, cardsByListing, policy, { remainingBudget: 4, pagesLeft: 5 });
+        assert.deepEqual(selectedKeys(selected), ['job-0', 'job-1', 'job-2', 'job-3']);
+    });
+
+    it('lets preferred jobs go over the page share', () => {
+        const policy = normalizeDetailPriority('missing_salary');
+        const selected = selectDetailCandidates(jobKeys, cardsByListing, policy, {
+            remainingBudget: 20,
+            pagesLeft: 10,
+        });
+        assert.deepEqual(selectedKeys(selected), ['job-1', 'job-3', 'job-5', 'job-7', 'job-9']);
+    });
+
+    it('fills the share with other jobs and spends everything on the last page', () => {
+        const policy = normalizeDetailPriority('missing_salary');
+        assert.equal(
+            selectDetailCandidates(jobKeys, cardsByListing, policy, { remainingBudget: 16, pagesLeft: 2 }).length,
+            8,
+        );
+        assert.equal(
+            selectDetailCandidates(jobKeys, cardsByListing, policy, { remainingBudget: 16, pagesLeft: 1 }).length,
+            10,
+        );
+    });
+
+    it('rejects a keyword policy without keywords', () => {
+        assert.throws(() => normalizeDetailPriority('keyword', []), /detailPriorityKeywords/);
+    });
+});
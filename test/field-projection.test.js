@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { buildFieldProjection, buildFieldRestore } from '../src/field-projection.js';
+
+const KNOWN_FIELDS = ['title', 'company', 'skills', 'salaryMin', 'url'];
+
+describe('buildFieldProjection', () => {
+    it('returns null when nothing is projected', () => {
+        assert.equal(buildFieldProjection({}, KNOWN_FIELDS), null);
+    });
+
+    it('renames fields and keeps their values untouched', () => {
+        const project = buildFieldProjection({ fieldMapping: { skills: 'tags', salaryMin: 'minPay' } }, KNOWN_FIELDS);
+        assert.deepEqual(project({ title: 'Nurse', skills: ['Triage', 'EMR'], salaryMin: 70000 }), {
+            title: 'Nurse',
+            tags: ['Triage', 'EMR'],
+            minPay: 70000,
+        });
+    });
+
+    it('orders fields by the allow-list and drops excluded ones', () => {
+        const project = buildFieldProjection(
+            { outputFields: ['url', 'title', 'company'], excludeFields: ['company'] },
+            KNOWN_FIELDS,
+        );
+        assert.deepEqual(Object.keys(project({ title: 'Nurse', company: 'Acme', url: 'https://x.test' })), [
+            'url',
+            'title',
+        ]);
+    });
+
+    it('rejects unknown fields with a suggestion', () => {
+        assert.throws(() => buildFieldProjection({ outputFields: ['titel'] }, KNOWN_FIELDS), /did you mean "title"/);
+    });
+
+    it('rejects renames that collide with a kept field', () => {
+        assert.throws(
+            () => buildFieldProjection({ fieldMapping: { company: 'title' } }, KNOWN_FIELDS),
+            /duplicate output field/,
+        );
+    });
+});
+
+describe('buildFieldRestore', () => {
+    it('returns null when nothing is renamed', () => {
+        assert.equal(buildFieldRestore({ fieldMapping: {} }), null);
+        assert.equal(buildFieldRestore({}), null);
+    });
+
+    it('maps renamed fields back and leaves other names alone', () => {
+        const restore = buildFieldRestore({ fieldMapping: { title: 'job_title', company: ' employer ' } });
+        assert.equal(restore('job_title'), 'title');
+        assert.equal(restore('employer'), 'company');
+        assert.equal(restore('url'), 'url');
+    });
+});
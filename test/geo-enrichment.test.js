@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+
+import { applyNearLocations, configureNearLocations, getGeoFields, loadGazetteer } from '../src/geo-enrichment.js';
+
+before(() => loadGazetteer());
+
+describe('getGeoFields', () => {
+    it('places a US city in its county and metro area', () => {
+        const fields = getGeoFields({ city: 'Austin', stateCode: 'TX', countryCode: 'US', isRemote: false });
+        assert.equal(fields.county, 'Travis');
+        assert.equal(fields.locationMetroCode, '12420');
+        assert.equal(fields.timezone, 'America/Chicago');
+        assert.equal(fields.geoScope, 'local');
+    });
+
+    it('places small metro areas and Connecticut planning regions', () => {
+        const santaFe = getGeoFields({ city: 'Santa Fe', stateCode: 'NM', countryCode: 'US', isRemote: false });
+        assert.equal(santaFe.metroArea, 'Santa Fe, NM');
+        assert.equal(santaFe.locationMetroCode, '42140');
+
+        const hartford = getGeoFields({ city: 'Hartford', stateCode: 'CT', countryCode: 'US', isRemote: false });
+        assert.equal(hartford.locationMetroCode, '25540');
+    });
+
+    it('leaves rural counties outside every metro area', () => {
+        const fields = getGeoFields({ city: 'Taos', stateCode: 'NM', countryCode: 'US', isRemote: false });
+        assert.equal(fields.county, 'Taos');
+        assert.equal(fields.metroArea, null);
+    });
+
+    it('leaves places outside the US unplaced', () => {
+        const fields = getGeoFields({ city: 'Toronto', stateCode: 'ON', countryCode: 'CA', isRemote: false });
+        assert.equal(fields.latitude, null);
+        assert.equal(fields.geoScope, 'unknown');
+    });
+});
+
+describe('applyNearLocations', () => {
+    it('rejects unknown places', () => {
+        assert.throws(() => configureNearLocations([{ place: 'Nowhere, ZZ', radiusMiles: 10 }]), /was not found/);
+    });
+
+    it('keeps jobs in the radius and remote jobs', () => {
+        configureNearLocations([{ place: 'Austin, TX', radiusMiles: 30 }]);
+        const near = { title: 'a', ...getGeoFields({ city: 'Round Rock', stateCode: 'TX', isRemote: false }) };
+        const far = { title: 'b', ...getGeoFields({ city: 'Dallas', stateCode: 'TX', isRemote: false }) };
+        const remote = { title: 'c', ...getGeoFields({ city: '', stateCode: '', isRemote: true }) };
+
+        const kept = applyNearLocations([near, far, remote]);
+        assert.deepEqual(
+            kept.map((record) => record.title),
+            ['a', 'c'],
+        );
+        assert.equal(kept[0].nearLocation, 'Austin, TX');
+    });
+});
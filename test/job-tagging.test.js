@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+
+import {
+    extractEducationLevel,
+    extractMinYearsExperience,
+    loadSkillsDictionary,
+    tagJobText,
+} from '../src/job-tagging.js';
+
+before(() => loadSkillsDictionary());
+
+describe('extractMinYearsExperience', () => {
+    it('takes the highest lower bound', () => {
+        assert.equal(extractMinYearsExperience('5+ years of Python experience and 2+ years of AWS experience'), 5);
+    });
+
+    it('ignores years that are not about experience', () => {
+        assert.equal(extractMinYearsExperience('401k after 1 year. Founded 20 years ago.'), null);
+    });
+});
+
+describe('extractEducationLevel', () => {
+    it('returns null without an education requirement', () => {
+        assert.equal(extractEducationLevel('Fast-paced team.'), null);
+    });
+});
+
+describe('tagJobText', () => {
+    it('matches case-sensitive skills only in their own casing', () => {
+        assert.ok(tagJobText({ title: 'Java Developer' }).skills.includes('Java'));
+        assert.ok(!tagJobText({ descriptionText: 'Grab a cup of java with the team.' }).skills.includes('Java'));
+        assert.ok(!tagJobText({ descriptionText: 'Prevent rust on the equipment.' }).skills.includes('Rust'));
+    });
+
+    it('prefers requirement bullets for experience', () => {
+        const tags = tagJobText({
+            descriptionText: 'We have 10 years of experience in the market.',
+            requirements: ['3+ years of experience with SQL'],
+        });
+        assert.equal(tags.minYearsExperience, 3);
+    });
+});
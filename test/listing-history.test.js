@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+const storageDir = await mkdtemp(join(tmpdir(), 'listing-history-test-'));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+
+const { Actor } = await import('apify');
+const { getListingHistoryCounts, loadListingHistory, trackListingVersion } = await import('../src/listing-history.js');
+
+before(async () => {
+    await Actor.init();
+    await loadListingHistory('listing-history-test');
+});
+
+after(async () => {
+    await Actor.exit({ exit: false });
+    await rm(storageDir, { recursive: true, force: true });
+});
+
+describe('trackListingVersion', () => {
+    const listing = { listingKey: 'a', title: 'Analyst', company: 'Acme', location: 'Austin, TX' };
+
+    it('starts a listing at version 1', () => {
+        const record = trackListingVersion(
+            { ...listing, salaryMin: 60000, salarySource: 'structured' },
+            '2026-01-01T00:00:00.000Z',
+        );
+        assert.equal(record.version, 1);
+        assert.deepEqual(record.changedFields, []);
+    });
+
+    it('keeps the version when nothing tracked changed', () => {
+        const record = trackListingVersion({
+            ...listing,
+            salaryMin: 60000,
+            salarySource: 'structured',
+            description_text: 'new text',
+        });
+        assert.equal(record.version, 1);
+        assert.equal(record.lastChangedAt, '2026-01-01T00:00:00.000Z');
+    });
+
+    it('starts a new version when structured pay changes', () => {
+        const record = trackListingVersion({ ...listing, salaryMin: 65000, salarySource: 'structured' });
+        assert.equal(record.version, 2);
+        assert.deepEqual(record.changedFields, ['salaryMin']);
+    });
+
+    it('does not compare pay read from the description', () => {
+        trackListingVersion({ listingKey: 'b', title: 'Nurse', salaryMin: 40, salarySource: 'description' });
+        const record = trackListingVersion({ listingKey: 'b', title: 'Nurse', salaryMin: null, salarySource: null });
+        assert.equal(record.version, 1);
+        assert.deepEqual(getListingHistoryCounts(), { new: 2, changed: 1, unchanged: 2 });
+    });
+});
@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { buildMarketReport, renderMarketReportHtml, trackMarketRecords } from '../src/market-report.js';
+
+const job = (title, salaryAnnualMin, salaryCurrency, extra = {}) => ({
+    title,
+    company: 'Acme',
+    locationStateCode: 'WA',
+    salaryAnnualMin,
+    salaryAnnualMax: salaryAnnualMin,
+    salaryCurrency,
+    ...extra,
+});
+
+describe('buildMarketReport', () => {
+    trackMarketRecords([
+        job('Engineer', 100000, 'USD'),
+        job('Engineer', 120000, 'USD'),
+        job('Engineer', 140000, 'USD'),
+        job('Engineer', 900000, 'CAD'),
+        job('Engineer', null, 'USD'),
+        job('Engineer', 50000, 'USD', { recordType: 'closed' }),
+    ]);
+    const report = buildMarketReport();
+
+    it('ranks only salaries in the most common currency', () => {
+        assert.equal(report.salaryCurrency, 'USD');
+        assert.equal(report.salaryOverall.jobsWithSalary, 3);
+        assert.equal(report.salaryOverall.p50, 120000);
+        assert.equal(report.salaryOverall.p90, 136000);
+        assert.equal(report.salaryByTitle[0].jobs, 5);
+        assert.equal(report.topCompanies[0].medianSalaryAnnual, 120000);
+    });
+
+    it('counts salaries in other currencies as disclosed', () => {
+        assert.deepEqual(report.salaryDisclosure, { jobsWithSalary: 4, rate: 0.8, jobsInOtherCurrencies: 1 });
+    });
+
+    it('names the currency in the HTML view', () => {
+        const html = renderMarketReportHtml(report);
+        assert.match(html, /annual midpoints in USD\. 1 job paid in another currency is left out/);
+    });
+});
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { applyNearDuplicates, configureNearDuplicates, getNearDuplicateStats } from '../src/near-duplicates.js';
+
+const DESCRIPTION =
+    'We are looking for a backend engineer to design, build and run the services behind our payments platform. ' +
+    'You will own APIs end to end, work closely with product and keep our systems fast and reliable.';
+
+describe('applyNearDuplicates', () => {
+    it('rejects invalid settings', () => {
+        assert.throws(() => configureNearDuplicates({ nearDuplicateMode: 'maybe' }), /nearDuplicateMode/);
+        assert.throws(
+            () => configureNearDuplicates({ nearDuplicateMode: 'mark', nearDuplicateThreshold: 2 }),
+            /nearDuplicateThreshold/,
+        );
+    });
+
+    it('marks a repost of the same job and keeps unrelated jobs', () => {
+        configureNearDuplicates({ nearDuplicateMode: 'mark' });
+        const [original, repost, other] = applyNearDuplicates([
+            {
+                listingKey: 'a',
+                title: 'Backend Engineer',
+                company: 'Acme Inc',
+                location: 'Austin, TX',
+                description_text: DESCRIPTION,
+            },
+            {
+                listingKey: 'b',
+                title: 'Backend Engineer - Hiring Now',
+                company: 'ACME',
+                location: 'Austin, TX',
+                description_text: DESCRIPTION,
+            },
+            {
+                listingKey: 'c',
+                title: 'Registered Nurse',
+                company: 'City Hospital',
+                location: 'Dallas, TX',
+                description_text:
+                    'Care for patients on a busy ward with a friendly team of nurses and doctors every day.',
+            },
+        ]);
+
+        assert.equal(original.duplicateOf, null);
+        assert.equal(repost.duplicateOf, 'a');
+        assert.ok(repost.duplicateScore >= 0.8);
+        assert.equal(other.duplicateOf, null);
+        assert.deepEqual(getNearDuplicateStats(), { mode: 'mark', threshold: 0.8, checked: 3, duplicates: 1 });
+    });
+});
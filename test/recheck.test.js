@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+    buildSnapshotRecheckRecord,
+    diffAgainstSnapshot,
+    extractJobPostingDetails,
+    fillUnavailableFields,
+    getListingKeyFromUrl,
+    isClosedJobPage,
+} from '../src/recheck.js';
+
+const toJsonLdPage = (posting) => `<html><script type="application/ld+json">${JSON.stringify(posting)}</script></html>`;
+
+describe('extractJobPostingDetails', () => {
+    it('maps a schema.org JobPosting onto the job details shape', () => {
+        const details = extractJobPostingDetails(
+            toJsonLdPage({
+                '@type': 'JobPosting',
+                title: 'Data Analyst',
+                hiringOrganization: { name: 'Acme &amp; Co' },
+                baseSalary: { currency: 'USD', value: { minValue: 60000, maxValue: 80000, unitText: 'YEAR' } },
+                jobLocation: { address: { addressLocality: 'Austin', addressRegion: 'TX', addressCountry: 'US' } },
+                employmentType: ['FULL_TIME'],
+                jobLocationType: 'TELECOMMUTE',
+                validThrough: '2000-01-01T00:00:00Z',
+            }),
+        );
+
+        assert.equal(details.title, 'Data Analyst');
+        assert.equal(details.company.name, 'Acme & Co');
+        assert.deepEqual(details.pay, { min: 60000, max: 80000, interval: 'annually', currency: 'USD' });
+        assert.equal(details.location.displayName, 'Austin, TX');
+        assert.deepEqual(details.employmentTypes, [{ name: 'EMPLOYMENT_TYPE_NAME_FULL_TIME' }]);
+        assert.deepEqual(details.locationTypes, [{ name: 'LOCATION_TYPE_NAME_REMOTE' }]);
+        assert.equal(details.status.isActive, false);
+    });
+
+    it('returns null for pages without a JobPosting', () => {
+        assert.equal(extractJobPostingDetails('<html><body>Nothing here</body></html>'), null);
+    });
+});
+
+describe('diffAgainstSnapshot', () => {
+    it('reports only compared fields the snapshot has', () => {
+        const snapshot = { title: 'Data Analyst', salaryMin: 60000, jobType: 'Full Time' };
+        const record = {
+            isActive: true,
+            title: 'Senior Data Analyst',
+            salaryMin: 60000,
+            jobType: 'Full Time',
+            company: 'Acme',
+        };
+        assert.deepEqual(diffAgainstSnapshot(snapshot, record), ['title']);
+    });
+
+    it('treats a snapshot without isActive as open', () => {
+        assert.deepEqual(diffAgainstSnapshot({}, { isActive: false }), ['isActive']);
+    });
+});
+
+describe('fillUnavailableFields', () => {
+    it('keeps the snapshot types when the fresh data has none', () => {
+        const record = {
+            jobType: 'Not specified',
+            employmentTypes: [],
+            isRemote: false,
+            locationTypes: [],
+            locationType: '',
+        };
+        const snapshot = { jobType: 'Full Time', isRemote: true };
+        const filled = fillUnavailableFields(record, { title: 'Data Analyst' }, snapshot);
+
+        assert.deepEqual(filled, { jobType: 'Full Time', isRemote: true });
+        assert.deepEqual(diffAgainstSnapshot(snapshot, { ...filled, isActive: true }), []);
+    });
+
+    it('uses fresh types when the job data has them', () => {
+        const record = { jobType: 'Part Time', employmentTypes: ['Part Time'] };
+        const filled = fillUnavailableFields(
+            record,
+            { employmentTypes: [{ name: 'PART_TIME' }] },
+            { jobType: 'Full Time' },
+        );
+        assert.equal(filled.jobType, 'Part Time');
+    });
+});
+
+describe('buildSnapshotRecheckRecord', () => {
+    it('marks a closed listing and reports the isActive change', () => {
+        const record = buildSnapshotRecheckRecord(
+            {
+                url: 'https://www.ziprecruiter.com/c/Acme/Job/Analyst?jid=abc',
+                listingKey: 'abc',
+                snapshot: { title: 'Analyst' },
+            },
+            'closed',
+            'page',
+        );
+        assert.equal(record.isActive, false);
+        assert.equal(record.title, 'Analyst');
+        assert.deepEqual(record.changedFields, ['isActive']);
+    });
+});
+
+describe('job page helpers', () => {
+    it('reads the listing key from a job URL', () => {
+        assert.equal(getListingKeyFromUrl('https://www.ziprecruiter.com/c/Acme/Job/Analyst?jid=abc123'), 'abc123');
+        assert.equal(getListingKeyFromUrl('not a url'), '');
+    });
+
+    it('recognizes closed job pages', () => {
+        assert.equal(isClosedJobPage(404, ''), true);
+        assert.equal(isClosedJobPage(200, 'This job is no longer available'), true);
+        assert.equal(isClosedJobPage(200, 'Apply now'), false);
+    });
+});
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { computeSalaryEquivalents, extractSalaryFromText, matchesSalaryFilter } from '../src/salary.js';
+
+describe('extractSalaryFromText', () => {
+    it('reads ranges with a currency and an interval', () => {
+        assert.deepEqual(extractSalaryFromText('Pay: $25 - $32 per hour'), {
+            min: 25,
+            max: 32,
+            interval: 'hourly',
+            currency: 'USD',
+        });
+        assert.deepEqual(extractSalaryFromText('£45,000 per annum'), {
+            min: 45000,
+            max: null,
+            interval: 'annually',
+            currency: 'GBP',
+        });
+        assert.deepEqual(extractSalaryFromText('$150K OTE'), {
+            min: 150000,
+            max: null,
+            interval: 'annually',
+            currency: 'USD',
+        });
+    });
+
+    it('reads k amounts in pay context as annual pay', () => {
+        assert.deepEqual(extractSalaryFromText('up to 120K DOE'), {
+            min: null,
+            max: 120000,
+            interval: 'annually',
+            currency: 'USD',
+        });
+        assert.deepEqual(extractSalaryFromText('salary 80-100k a year'), {
+            min: 80000,
+            max: 100000,
+            interval: 'annually',
+            currency: 'USD',
+        });
+    });
+
+    it('ignores retirement plans', () => {
+        assert.equal(extractSalaryFromText('Competitive pay, 401k match'), null);
+        assert.equal(extractSalaryFromText('Salary plus 403(b) and 457b plans'), null);
+    });
+
+    it('ignores figures in millions and billions', () => {
+        assert.equal(extractSalaryFromText('We are a $20 million company'), null);
+        assert.equal(extractSalaryFromText('Over $30B in assets'), null);
+        assert.equal(extractSalaryFromText('$5M ARR and growing'), null);
+    });
+
+    it('does not guess hourly pay for a bare amount', () => {
+        assert.equal(extractSalaryFromText('Bonus of $10 per referral'), null);
+        assert.equal(extractSalaryFromText('Earn $20 gift cards'), null);
+        assert.equal(extractSalaryFromText('Earn $20 an hour').interval, 'hourly');
+    });
+
+    it('ignores amounts without a currency outside pay context', () => {
+        assert.equal(extractSalaryFromText('Join 120K users worldwide'), null);
+        assert.equal(extractSalaryFromText('Call 555-1234'), null);
+    });
+});
+
+describe('computeSalaryEquivalents', () => {
+    it('derives annual pay from hourly pay', () => {
+        assert.deepEqual(computeSalaryEquivalents({ salaryMin: 28, salaryMax: 30, salaryInterval: 'hourly' }), {
+            salaryAnnualMin: 58240,
+            salaryAnnualMax: 62400,
+            salaryHourlyMin: 28,
+            salaryHourlyMax: 30,
+            salaryAnnualIsDerived: true,
+            salaryHourlyIsDerived: false,
+        });
+    });
+
+    it('derives hourly pay from annual pay', () => {
+        const result = computeSalaryEquivalents({ salaryMin: 60000, salaryMax: null, salaryInterval: 'annually' });
+        assert.equal(result.salaryAnnualMin, 60000);
+        assert.equal(result.salaryHourlyMin, 28.85);
+        assert.equal(result.salaryAnnualIsDerived, false);
+        assert.equal(result.salaryHourlyIsDerived, true);
+    });
+});
+
+describe('matchesSalaryFilter', () => {
+    it('passes ranges that overlap the window', () => {
+        const record = { salaryAnnualMin: 50000, salaryAnnualMax: 70000 };
+        assert.equal(matchesSalaryFilter(record, { minSalary: 65000 }), true);
+        assert.equal(matchesSalaryFilter(record, { minSalary: 80000 }), false);
+        assert.equal(matchesSalaryFilter(record, { maxSalary: 40000 }), false);
+    });
+
+    it('keeps records without pay unless requireSalary is set', () => {
+        assert.equal(matchesSalaryFilter({}, { minSalary: 50000 }), true);
+        assert.equal(matchesSalaryFilter({}, { requireSalary: true }), false);
+    });
+});